@@ -0,0 +1,160 @@
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { createFixtureWindow, installGlobals } from './environment.js';
+import { scoreDetector } from './metrics.js';
+
+const MIN_NODE_MAJOR = 20;
+const DEFAULT_FIXTURES = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+export async function runCalibration(options = {}) {
+  const fixturesDir = options.fixtures || DEFAULT_FIXTURES;
+  const files = (await readdir(fixturesDir, { recursive: true }))
+    .filter(file => file.endsWith('.html'))
+    .sort();
+  if (files.length === 0) {
+    throw new Error(`No .html fixtures found in ${fixturesDir}`);
+  }
+
+  const bootstrap = await createFixtureWindow('<!DOCTYPE html><html><body></body></html>');
+  installGlobals(bootstrap.window);
+  const { listDetectors, registerDetectors } = await import('../detectorRegistry.js');
+  const { evaluateDetector } = await import('../utils/ruleEngine.js');
+  const { createScanContext } = await import('../utils/scanContext.js');
+  bootstrap.close();
+
+  if (options.overrides) {
+    registerDetectors(options.overrides);
+  }
+  const registered = listDetectors();
+  const known = registered.map(definition => definition.name);
+  const definitions = registered
+    .filter(definition => !options.detectors || options.detectors.includes(definition.name));
+
+  const fixtures = [];
+  for (const file of files) {
+    const html = await readFile(path.join(fixturesDir, file), 'utf8');
+    const fixture = await createFixtureWindow(html);
+    installGlobals(fixture.window);
+    const context = createScanContext(fixture.window.document);
+    const confidences = Object.fromEntries(definitions.map(definition => [
+      definition.name,
+      evaluateDetector(definition, context).confidence
+    ]));
+    fixtures.push({
+      fixture: file.split(path.sep).join('/'),
+      labels: fixture.labels,
+      knownFailures: fixture.knownFailures,
+      unknownLabels: [...fixture.labels, ...fixture.knownFailures].filter(label => !known.includes(label)),
+      confidences
+    });
+    fixture.close();
+  }
+
+  const detectors = definitions.map(definition => scoreDetector(
+    definition.name,
+    definition.threshold,
+    fixtures.map(entry => ({
+      fixture: entry.fixture,
+      expected: entry.labels.includes(definition.name),
+      confidence: entry.confidences[definition.name],
+      known: entry.knownFailures.includes(definition.name)
+    }))
+  ));
+
+  return { fixturesDir, fixtures, detectors };
+}
+
+export function formatReport(report) {
+  const lines = [`Detector calibration: ${report.fixtures.length} fixtures from ${report.fixturesDir}`, ''];
+  report.detectors.forEach(result => {
+    const { tp, fp, fn, tn } = result.confusion;
+    lines.push(`${result.detector}  threshold ${result.threshold.toFixed(2)}  `
+      + `P ${formatRate(result.precision)}  R ${formatRate(result.recall)}  F1 ${formatRate(result.f1)}  `
+      + `tp ${tp} fp ${fp} fn ${fn} tn ${tn}`);
+    lines.push(`  positives ${formatSummary(result.confidence.positives)}`);
+    lines.push(`  negatives ${formatSummary(result.confidence.negatives)}`);
+    lines.push(`  histogram + ${result.confidence.histogram.map(bin => bin.positives).join(' ')}`
+      + `  - ${result.confidence.histogram.map(bin => bin.negatives).join(' ')}`);
+    if (result.suggested) {
+      const suggested = result.suggested;
+      lines.push(`  suggested threshold ${suggested.threshold.toFixed(2)} `
+        + `(P ${formatRate(suggested.precision)} R ${formatRate(suggested.recall)} F1 ${formatRate(suggested.f1)}; `
+        + `same result for any value above ${suggested.range.above.toFixed(2)} up to ${suggested.range.upTo.toFixed(2)})`);
+    } else {
+      lines.push('  suggested threshold n/a (needs both positive and negative fixtures)');
+    }
+    result.misclassified.forEach(entry => {
+      lines.push(`  ${entry.expected ? 'missed  ' : 'false + '} ${entry.fixture} (${entry.confidence.toFixed(2)})`
+        + (entry.known ? ' known failure' : ''));
+    });
+    lines.push('');
+  });
+
+  report.detectors.forEach(result => {
+    report.fixtures
+      .filter(entry => entry.knownFailures.includes(result.detector))
+      .filter(entry => !result.misclassified.some(miss => miss.fixture === entry.fixture))
+      .forEach(entry => {
+        lines.push(`warning: ${entry.fixture} lists a known ${result.detector} failure that now passes`);
+      });
+  });
+  const unknown = report.fixtures.filter(entry => entry.unknownLabels.length > 0);
+  unknown.forEach(entry => {
+    lines.push(`warning: ${entry.fixture} labels unknown detector(s) ${entry.unknownLabels.join(', ')}`);
+  });
+  return lines.join('\n');
+}
+
+async function main() {
+  const major = Number(process.versions.node.split('.')[0]);
+  if (major < MIN_NODE_MAJOR) {
+    throw new Error(`The calibration harness needs Node.js ${MIN_NODE_MAJOR} or newer (found ${process.versions.node})`);
+  }
+
+  const { values } = parseArgs({
+    options: {
+      fixtures: { type: 'string' },
+      detector: { type: 'string', multiple: true },
+      overrides: { type: 'string' },
+      json: { type: 'boolean', default: false },
+      'min-precision': { type: 'string' },
+      'min-recall': { type: 'string' }
+    }
+  });
+
+  const report = await runCalibration({
+    fixtures: values.fixtures ? path.resolve(values.fixtures) : undefined,
+    detectors: values.detector,
+    overrides: values.overrides ? JSON.parse(await readFile(values.overrides, 'utf8')) : undefined
+  });
+  console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+
+  const minPrecision = values['min-precision'] === undefined ? null : Number(values['min-precision']);
+  const minRecall = values['min-recall'] === undefined ? null : Number(values['min-recall']);
+  const failing = report.detectors.filter(result => (minPrecision !== null && (result.precision ?? 1) < minPrecision)
+    || (minRecall !== null && (result.recall ?? 1) < minRecall));
+  if (failing.length > 0) {
+    console.error(`Below the required precision/recall: ${failing.map(result => result.detector).join(', ')}`);
+    process.exitCode = 1;
+  }
+}
+
+function formatRate(value) {
+  return value === null ? '  n/a' : value.toFixed(3);
+}
+
+function formatSummary(summary) {
+  if (summary.count === 0) {
+    return 'none';
+  }
+  return `n ${summary.count}  min ${summary.min}  median ${summary.median}  mean ${summary.mean}  max ${summary.max}`;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
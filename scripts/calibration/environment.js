@@ -0,0 +1,139 @@
+const DEFAULT_VIEWPORT = { width: 1280, height: 800 };
+const FIXTURE_URL = 'https://fixture.test/';
+const ZERO_RECT = [0, 0, 0, 0];
+const GLOBAL_NAMES = [
+  'window',
+  'document',
+  'navigator',
+  'location',
+  'Node',
+  'Element',
+  'HTMLElement',
+  'HTMLInputElement',
+  'ShadowRoot',
+  'Event',
+  'CustomEvent',
+  'MutationObserver',
+  'getComputedStyle',
+  'innerWidth',
+  'innerHeight'
+];
+
+let JSDOM = null;
+
+export async function loadJsdom() {
+  if (JSDOM) {
+    return JSDOM;
+  }
+  try {
+    ({ JSDOM } = await import('jsdom'));
+  } catch (_) {
+    throw new Error('The calibration harness needs jsdom. Install it next to the repository with "npm install --no-save jsdom".');
+  }
+  return JSDOM;
+}
+
+export async function createFixtureWindow(html, options = {}) {
+  const Dom = await loadJsdom();
+  const dom = new Dom(html, { url: options.url || FIXTURE_URL, pretendToBeVisual: true });
+  const view = dom.window;
+  const viewport = readViewport(view.document) || options.viewport || DEFAULT_VIEWPORT;
+
+  Object.defineProperty(view, 'innerWidth', { value: viewport.width, configurable: true });
+  Object.defineProperty(view, 'innerHeight', { value: viewport.height, configurable: true });
+  installLayoutStubs(view, viewport);
+  readMetaList(view.document, 'aura-globals').forEach(name => {
+    view[name] = {};
+  });
+
+  return {
+    window: view,
+    viewport,
+    labels: readMetaList(view.document, 'aura-labels'),
+    knownFailures: readMetaList(view.document, 'aura-known-failures'),
+    close: () => view.close()
+  };
+}
+
+export function installGlobals(view) {
+  GLOBAL_NAMES.forEach(name => {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? view : view[name],
+      configurable: true,
+      writable: true
+    });
+  });
+}
+
+function installLayoutStubs(view, viewport) {
+  const { document } = view;
+  const computeStyle = view.getComputedStyle.bind(view);
+
+  view.getComputedStyle = element => {
+    const style = computeStyle(element);
+    return new Proxy(style, {
+      get(target, key) {
+        if (key === 'opacity') {
+          return target.opacity || '1';
+        }
+        const value = target[key];
+        return typeof value === 'function' ? value.bind(target) : value;
+      }
+    });
+  };
+
+  view.Element.prototype.getBoundingClientRect = function getBoundingClientRect() {
+    const [left, top, width, height] = isHidden(this, view) ? ZERO_RECT : resolveRect(this, viewport);
+    return { left, top, width, height, right: left + width, bottom: top + height, x: left, y: top };
+  };
+
+  document.elementFromPoint = (x, y) => {
+    let hit = document.body;
+    document.querySelectorAll('[data-rect]').forEach(element => {
+      const rect = element.getBoundingClientRect();
+      if (rect.width > 0 && x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+        hit = element;
+      }
+    });
+    return hit;
+  };
+}
+
+function resolveRect(element, viewport) {
+  if (element === element.ownerDocument.documentElement || element === element.ownerDocument.body) {
+    return [0, 0, viewport.width, viewport.height];
+  }
+
+  for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+    const value = current.getAttribute('data-rect');
+    if (value) {
+      return value.split(',').map(Number);
+    }
+    if (current.parentElement === current.ownerDocument.body) {
+      break;
+    }
+  }
+  return ZERO_RECT;
+}
+
+function isHidden(element, view) {
+  for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+    if (current.hidden || view.getComputedStyle(current).display === 'none') {
+      return true;
+    }
+  }
+  return false;
+}
+
+function readViewport(document) {
+  const [viewport] = readMetaList(document, 'aura-viewport');
+  const match = viewport && viewport.match(/^(\d+)x(\d+)$/);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+function readMetaList(document, name) {
+  const meta = document.querySelector(`meta[name="${name}"]`);
+  return meta
+    ? meta.getAttribute('content').split(',').map(value => value.trim()).filter(Boolean)
+    : [];
+}
@@ -0,0 +1,119 @@
+const HISTOGRAM_BINS = 10;
+
+export function scoreDetector(name, threshold, samples) {
+  const confusion = countConfusion(samples, threshold);
+  const positives = samples.filter(sample => sample.expected).map(sample => sample.confidence);
+  const negatives = samples.filter(sample => !sample.expected).map(sample => sample.confidence);
+
+  return {
+    detector: name,
+    threshold,
+    fixtures: samples.length,
+    positives: positives.length,
+    negatives: negatives.length,
+    confusion,
+    ...rates(confusion),
+    confidence: {
+      positives: summarize(positives),
+      negatives: summarize(negatives),
+      histogram: buildHistogram(samples)
+    },
+    suggested: suggestThreshold(samples),
+    misclassified: samples
+      .filter(sample => sample.expected !== sample.confidence >= threshold)
+      .map(sample => ({
+        fixture: sample.fixture,
+        expected: sample.expected,
+        confidence: sample.confidence,
+        known: Boolean(sample.known)
+      }))
+  };
+}
+
+export function suggestThreshold(samples) {
+  const positives = samples.filter(sample => sample.expected);
+  if (positives.length === 0 || positives.length === samples.length) {
+    return null;
+  }
+
+  const candidates = Array.from(new Set(samples.map(sample => sample.confidence)))
+    .filter(value => value > 0)
+    .sort((a, b) => a - b);
+  let best = null;
+  candidates.forEach(candidate => {
+    const scored = { threshold: candidate, ...rates(countConfusion(samples, candidate)) };
+    if (!best || (scored.f1 ?? 0) > (best.f1 ?? 0)) {
+      best = scored;
+    }
+  });
+  if (!best) {
+    return null;
+  }
+
+  const below = samples
+    .map(sample => sample.confidence)
+    .filter(value => value < best.threshold);
+  const floor = below.length > 0 ? Math.max(...below) : 0;
+  return {
+    ...best,
+    threshold: Number(((best.threshold + floor) / 2).toFixed(2)),
+    range: { above: floor, upTo: best.threshold }
+  };
+}
+
+function countConfusion(samples, threshold) {
+  return samples.reduce((counts, sample) => {
+    const predicted = sample.confidence >= threshold;
+    if (predicted && sample.expected) {
+      counts.tp += 1;
+    } else if (predicted) {
+      counts.fp += 1;
+    } else if (sample.expected) {
+      counts.fn += 1;
+    } else {
+      counts.tn += 1;
+    }
+    return counts;
+  }, { tp: 0, fp: 0, fn: 0, tn: 0 });
+}
+
+function rates({ tp, fp, fn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  const f1 = precision && recall ? (2 * precision * recall) / (precision + recall) : null;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function summarize(values) {
+  if (values.length === 0) {
+    return { count: 0, min: null, median: null, mean: null, max: null };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  return {
+    count: sorted.length,
+    min: sorted[0],
+    median: round(median),
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+function buildHistogram(samples) {
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, index) => ({
+    from: round(index / HISTOGRAM_BINS),
+    to: round((index + 1) / HISTOGRAM_BINS),
+    positives: 0,
+    negatives: 0
+  }));
+  samples.forEach(sample => {
+    const index = Math.min(HISTOGRAM_BINS - 1, Math.floor(sample.confidence * HISTOGRAM_BINS));
+    bins[index][sample.expected ? 'positives' : 'negatives'] += 1;
+  });
+  return bins;
+}
+
+function round(value) {
+  return value === null ? null : Number(value.toFixed(3));
+}
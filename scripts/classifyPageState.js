@@ -0,0 +1,32 @@
+import { listDetectors } from './detectorRegistry.js';
+import { evaluateDetector } from './utils/ruleEngine.js';
+import { createScanContext } from './utils/scanContext.js';
+
+export function classifyPageState(options = {}) {
+  const context = createScanContext(document, { locale: options.locale });
+  const results = listDetectors().map(definition => ({
+    ...evaluateDetector(definition, context),
+    severity: definition.severity
+  }));
+
+  const ranked = results
+    .filter(result => result.detected)
+    .sort((a, b) => b.confidence - a.confidence || b.severity - a.severity);
+
+  const detectors = {};
+  results.forEach(({ severity, ...result }) => {
+    detectors[result.reason] = result;
+  });
+
+  const top = ranked[0];
+  const highestConfidence = Math.max(0, ...results.map(result => result.confidence));
+
+  return {
+    state: top ? top.reason : 'clear',
+    confidence: top ? top.confidence : Number((1 - highestConfidence).toFixed(2)),
+    ranked: ranked.map(result => ({ reason: result.reason, confidence: result.confidence })),
+    detectors,
+    locales: context.locales,
+    scannedElements: context.elements.length
+  };
+}
@@ -0,0 +1,344 @@
+import { ElementNotFoundError, ElementNotInteractableError } from './errors.js';
+import { humanLikeClick } from './humanLikeActions.js';
+import { describeTarget, resolveTarget, waitForActionable } from './utils/actionability.js';
+import { runAction, unwrapResult } from './utils/actionRunner.js';
+import { getAccessibleName, getElementText, isVisible } from './utils/dom.js';
+import { setNativeValue } from './utils/editing.js';
+import { emit } from './utils/events.js';
+import { waitForCondition } from './utils/waiting.js';
+
+const defaultControlProfile = {
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50,
+  optionDelayMs: 180,
+  optionVarianceMs: 120,
+  stateTimeoutMs: 2000
+};
+
+const CHECKABLE_ROLES = ['checkbox', 'switch', 'radio', 'menuitemcheckbox', 'menuitemradio'];
+
+export function humanLikeSelect(target, choice, profile = {}) {
+  return runAction('select', run => performSelect(run, target, choice, profile), profile);
+}
+
+async function performSelect(run, target, choice, profile) {
+  const options = { ...defaultControlProfile, ...profile };
+  const { element, label } = await locateControl(run, target, options);
+  if (element.tagName !== 'SELECT') {
+    throw new TypeError(`${label} is not a <select> element`);
+  }
+
+  const choices = Array.isArray(choice) ? choice : [choice];
+  if (choices.length > 1 && !element.multiple) {
+    throw new TypeError(`${label} does not accept multiple selections`);
+  }
+
+  const wanted = choices.map(entry => {
+    const option = findNativeOption(element, entry);
+    if (!option) {
+      throw new ElementNotFoundError(`${label} option ${describeChoice(entry)}`, { options: listNativeOptions(element) });
+    }
+    if (option.disabled) {
+      throw new ElementNotInteractableError(`${label} option ${describeChoice(entry)}`, { check: 'enabled' });
+    }
+    return option;
+  });
+
+  const selectedBefore = Array.from(element.selectedOptions);
+  const alreadySelected = wanted.every(option => option.selected)
+    && (!element.multiple || selectedBefore.length === wanted.length);
+  if (alreadySelected) {
+    return describeSelection(element, false);
+  }
+
+  unwrapResult(await humanLikeClick(element, nestedProfile(run, options)));
+  await run.wait(Math.max(0, options.optionDelayMs + run.random() * options.optionVarianceMs));
+  run.checkpoint();
+
+  if (element.multiple) {
+    Array.from(element.options).forEach(option => {
+      option.selected = wanted.includes(option);
+    });
+  } else {
+    setNativeValue(element, wanted[0].value);
+    if (!wanted[0].selected) {
+      // another option shares the value; select the requested one directly
+      wanted[0].selected = true;
+    }
+  }
+  emit(element, new Event('input', { bubbles: true }));
+  emit(element, new Event('change', { bubbles: true }));
+
+  const result = describeSelection(element, true);
+  const confirmed = wanted.every(option => option.selected);
+  if (!confirmed) {
+    throw new ElementNotInteractableError(label, { check: 'selected', expected: wanted.map(option => option.value), actual: result.values });
+  }
+  return result;
+}
+
+export function humanLikeCheck(target, profile = {}) {
+  return runAction('check', run => performSetChecked(run, target, true, profile), profile);
+}
+
+export function humanLikeUncheck(target, profile = {}) {
+  return runAction('uncheck', run => performSetChecked(run, target, false, profile), profile);
+}
+
+async function performSetChecked(run, target, desired, profile) {
+  const options = { ...defaultControlProfile, ...profile };
+  const { element, label } = await locateControl(run, target, options, ['attached']);
+  const role = getCheckableRole(element);
+  if (!role) {
+    throw new TypeError(`${label} is not a checkbox, radio or switch`);
+  }
+  if (!desired && role.endsWith('radio')) {
+    throw new TypeError(`${label} is a radio button and cannot be unchecked directly`);
+  }
+
+  if (readChecked(element) === desired) {
+    return { checked: desired, changed: false, role };
+  }
+
+  const clickTarget = resolveClickTarget(element);
+  unwrapResult(await humanLikeClick(clickTarget, nestedProfile(run, options)));
+  run.checkpoint();
+
+  const outcome = await waitForCondition(() => ({ done: readChecked(element) === desired, value: readChecked(element) }), {
+    timeoutMs: options.stateTimeoutMs,
+    pollMs: options.waitPollMs,
+    root: element.ownerDocument,
+    signal: run.signal
+  });
+  if (!outcome.satisfied) {
+    throw new ElementNotInteractableError(label, { check: 'checked', expected: desired, actual: outcome.value });
+  }
+  return { checked: desired, changed: true, role };
+}
+
+export function humanLikeChooseOption(target, choice, profile = {}) {
+  return runAction('chooseOption', run => performChooseOption(run, target, choice, profile), profile);
+}
+
+async function performChooseOption(run, target, choice, profile) {
+  const options = { ...defaultControlProfile, ...profile };
+  const { element, label } = await locateControl(run, target, options);
+  const role = element.getAttribute('role');
+  const isListbox = role === 'listbox';
+
+  const existing = findListbox(element);
+  const current = existing ? findAriaOption(existing, choice) : null;
+  if (current && isAriaSelected(current) && (isListbox || comboboxShows(element, current))) {
+    return describeAriaOption(current, false);
+  }
+
+  let listbox = isListbox ? element : null;
+  if (!listbox) {
+    if (element.getAttribute('aria-expanded') !== 'true' || !existing || !isVisible(existing)) {
+      unwrapResult(await humanLikeClick(element, nestedProfile(run, options)));
+    }
+
+    const opened = await waitForCondition(() => {
+      const candidate = findListbox(element);
+      return { done: Boolean(candidate) && isVisible(candidate), value: candidate };
+    }, { timeoutMs: options.stateTimeoutMs, pollMs: options.waitPollMs, root: element.ownerDocument, signal: run.signal });
+    if (!opened.satisfied) {
+      throw new ElementNotFoundError(`${label} listbox`, { check: 'expanded' });
+    }
+    listbox = opened.value;
+  }
+
+  await run.wait(Math.max(0, options.optionDelayMs + run.random() * options.optionVarianceMs));
+  const option = findAriaOption(listbox, choice);
+  if (!option) {
+    throw new ElementNotFoundError(`${label} option ${describeChoice(choice)}`, {
+      options: listAriaOptions(listbox).map(candidate => getAccessibleName(candidate))
+    });
+  }
+  if (option.getAttribute('aria-disabled') === 'true') {
+    throw new ElementNotInteractableError(`${label} option ${describeChoice(choice)}`, { check: 'enabled' });
+  }
+
+  unwrapResult(await humanLikeClick(option, nestedProfile(run, options)));
+  run.checkpoint();
+
+  const confirmed = await waitForCondition(() => ({
+    done: isAriaSelected(option) || comboboxShows(element, option),
+    value: null
+  }), { timeoutMs: options.stateTimeoutMs, pollMs: options.waitPollMs, root: element.ownerDocument, signal: run.signal });
+  if (!confirmed.satisfied) {
+    throw new ElementNotInteractableError(label, { check: 'selected', expected: getAccessibleName(option) });
+  }
+  return describeAriaOption(option, true);
+}
+
+async function locateControl(run, target, options, checks = ['attached', 'visible']) {
+  if (!options.autoWait) {
+    const element = resolveTarget(target);
+    if (!element) {
+      throw new ElementNotFoundError(describeTarget(target));
+    }
+    return { element, label: describeTarget(target, element) };
+  }
+
+  const { element } = await waitForActionable(target, {
+    checks,
+    signal: run.signal,
+    timeoutMs: options.waitTimeoutMs,
+    pollMs: options.waitPollMs
+  });
+  return { element, label: describeTarget(target, element) };
+}
+
+function nestedProfile(run, options) {
+  return { ...options, timeoutMs: 0, signal: run.signal, seed: run.seed, random: run.random };
+}
+
+function describeChoice(choice) {
+  if (choice && typeof choice === 'object' && !(choice instanceof RegExp)) {
+    return JSON.stringify(choice);
+  }
+  return `"${String(choice)}"`;
+}
+
+function matchesChoice(choice, { value, text, name, index }) {
+  if (choice instanceof RegExp) {
+    return choice.test(text) || choice.test(name);
+  }
+  if (typeof choice === 'number') {
+    return index === choice;
+  }
+  if (choice && typeof choice === 'object') {
+    return (choice.value === undefined || choice.value === value)
+      && (choice.text === undefined || choice.text === text)
+      && (choice.label === undefined || choice.label === name)
+      && (choice.index === undefined || choice.index === index);
+  }
+  return false;
+}
+
+function findByChoice(candidates, choice, describe) {
+  const described = candidates.map((candidate, index) => ({ candidate, ...describe(candidate), index }));
+  if (typeof choice === 'string') {
+    const wanted = choice.trim();
+    const match = described.find(entry => entry.value === wanted)
+      || described.find(entry => entry.text === wanted)
+      || described.find(entry => entry.name === wanted)
+      || described.find(entry => entry.text.toLowerCase() === wanted.toLowerCase());
+    return match ? match.candidate : null;
+  }
+
+  const match = described.find(entry => matchesChoice(choice, entry));
+  return match ? match.candidate : null;
+}
+
+function findNativeOption(select, choice) {
+  return findByChoice(Array.from(select.options), choice, option => ({
+    value: option.value,
+    text: getElementText(option),
+    name: option.label || getElementText(option)
+  }));
+}
+
+function listNativeOptions(select) {
+  return Array.from(select.options).map(option => ({ value: option.value, text: getElementText(option) }));
+}
+
+function describeSelection(select, changed) {
+  const selected = Array.from(select.selectedOptions);
+  return {
+    changed,
+    value: select.value,
+    values: selected.map(option => option.value),
+    text: selected.map(option => getElementText(option)).join(', ')
+  };
+}
+
+function getCheckableRole(element) {
+  const role = element.getAttribute('role');
+  if (CHECKABLE_ROLES.includes(role)) {
+    return role;
+  }
+  if (element.tagName === 'INPUT') {
+    const type = (element.getAttribute('type') || '').toLowerCase();
+    if (type === 'checkbox' || type === 'radio') {
+      return type;
+    }
+  }
+  return null;
+}
+
+function readChecked(element) {
+  if (element.tagName === 'INPUT') {
+    return element.checked;
+  }
+  return element.getAttribute('aria-checked') === 'true';
+}
+
+function resolveClickTarget(element) {
+  if (isVisible(element)) {
+    return element;
+  }
+  const label = Array.from(element.labels || []).find(isVisible);
+  return label || element;
+}
+
+function findListbox(element) {
+  if (element.getAttribute('role') === 'listbox') {
+    return element;
+  }
+
+  const rootNode = element.getRootNode();
+  const ids = `${element.getAttribute('aria-controls') || ''} ${element.getAttribute('aria-owns') || ''}`
+    .split(/\s+/)
+    .filter(Boolean);
+  for (const id of ids) {
+    const referenced = typeof rootNode.getElementById === 'function' ? rootNode.getElementById(id) : null;
+    if (referenced) {
+      return referenced.getAttribute('role') === 'listbox'
+        ? referenced
+        : referenced.querySelector('[role="listbox"]') || referenced;
+    }
+  }
+
+  const nested = element.querySelector('[role="listbox"]');
+  if (nested) {
+    return nested;
+  }
+
+  return Array.from(rootNode.querySelectorAll('[role="listbox"]')).find(isVisible) || null;
+}
+
+function listAriaOptions(listbox) {
+  return Array.from(listbox.querySelectorAll('[role="option"]'));
+}
+
+function findAriaOption(listbox, choice) {
+  return findByChoice(listAriaOptions(listbox), choice, option => ({
+    value: option.getAttribute('data-value') ?? option.getAttribute('value') ?? option.id,
+    text: getElementText(option),
+    name: getAccessibleName(option)
+  }));
+}
+
+function isAriaSelected(option) {
+  return option.getAttribute('aria-selected') === 'true' || option.getAttribute('aria-checked') === 'true';
+}
+
+function comboboxShows(combobox, option) {
+  if (combobox.getAttribute('role') === 'listbox') {
+    return false;
+  }
+  const name = getAccessibleName(option);
+  const shown = 'value' in combobox && combobox.tagName !== 'BUTTON' ? combobox.value : getElementText(combobox);
+  return Boolean(name) && shown.trim() === name;
+}
+
+function describeAriaOption(option, changed) {
+  return {
+    changed,
+    option: getAccessibleName(option),
+    value: option.getAttribute('data-value') ?? option.getAttribute('value') ?? null
+  };
+}
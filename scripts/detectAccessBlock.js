@@ -0,0 +1,96 @@
+import { runDetector } from './detectorRegistry.js';
+import { BLOCK_HEADING_SELECTORS, RATE_LIMIT_CODES } from './rules/accessBlock.js';
+import { createScanContext } from './utils/scanContext.js';
+
+const DEFAULT_COOLDOWN_SECONDS = { rate_limit: 60, access_denied: 900 };
+const MIN_COOLDOWN_SECONDS = 5;
+const MAX_COOLDOWN_SECONDS = 86400;
+const TIME_UNITS = [
+  { seconds: 1, pattern: 's|secs?|seconds?|sekunden?|secondes?|segundos?|seconden?|second[io]' },
+  { seconds: 60, pattern: 'mins?|minutes?|minuten?|minutos?|minut[io]' },
+  { seconds: 3600, pattern: 'h|hrs?|hours?|stunden?|heures?|horas?|uur|or[ea]' }
+];
+const DURATION_PATTERN = new RegExp(`(\\d+(?:[.,]\\d+)?)\\s*(${TIME_UNITS.map(unit => unit.pattern).join('|')})\\b`, 'i');
+const RETRY_AFTER_PATTERN = /retry-after\s*[:=]\s*([^\n]+)/i;
+
+export function detectAccessBlock(context = createScanContext()) {
+  const result = runDetector('access_block', context);
+  if (!result.detected) {
+    return { ...result, kind: null, cooldown: null };
+  }
+
+  const kind = classifyBlock(context);
+  return { ...result, kind, cooldown: suggestCooldown(context, kind) };
+}
+
+function classifyBlock(context) {
+  const rateLimited = BLOCK_HEADING_SELECTORS
+    .flatMap(selector => context.query(selector))
+    .filter(context.isVisible)
+    .some(heading => context.matchKeywords(heading, 'rateLimit') || context.containsText(heading, RATE_LIMIT_CODES));
+  return rateLimited ? 'rate_limit' : 'access_denied';
+}
+
+function suggestCooldown(context, kind) {
+  const text = context.elements
+    .filter(element => element.children.length === 0 && context.isVisible(element))
+    .map(context.getText)
+    .filter(Boolean)
+    .join('\n');
+
+  const fromHeader = parseRetryAfter(text);
+  if (fromHeader) {
+    return buildCooldown(fromHeader.seconds, 'retry-after', fromHeader.hint);
+  }
+
+  const fromText = parseDuration(text);
+  if (fromText) {
+    return buildCooldown(fromText.seconds, 'page-text', fromText.hint);
+  }
+
+  const refresh = context.query('meta[http-equiv="refresh" i]')[0];
+  const refreshSeconds = refresh ? parseInt(refresh.getAttribute('content') || '', 10) : NaN;
+  if (Number.isFinite(refreshSeconds) && refreshSeconds > 0) {
+    return buildCooldown(refreshSeconds, 'meta-refresh', refresh.getAttribute('content'));
+  }
+
+  return buildCooldown(DEFAULT_COOLDOWN_SECONDS[kind], 'default', null);
+}
+
+function parseRetryAfter(text) {
+  const match = text.match(RETRY_AFTER_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const value = match[1].trim();
+  if (/^\d+$/.test(value)) {
+    return { seconds: Number(value), hint: match[0].trim() };
+  }
+
+  const retryAt = Date.parse(value);
+  if (Number.isFinite(retryAt)) {
+    return { seconds: Math.ceil((retryAt - Date.now()) / 1000), hint: match[0].trim() };
+  }
+
+  return parseDuration(value);
+}
+
+function parseDuration(text) {
+  const match = text.match(DURATION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const amount = Number(match[1].replace(',', '.'));
+  const unit = TIME_UNITS.find(candidate => new RegExp(`^(${candidate.pattern})$`, 'i').test(match[2]));
+  return { seconds: Math.ceil(amount * unit.seconds), hint: match[0] };
+}
+
+function buildCooldown(seconds, source, hint) {
+  return {
+    seconds: Math.min(MAX_COOLDOWN_SECONDS, Math.max(MIN_COOLDOWN_SECONDS, seconds)),
+    source,
+    hint
+  };
+}
@@ -0,0 +1,141 @@
+import { runDetector } from './detectorRegistry.js';
+import { collectEvidence } from './utils/dom.js';
+import { createScanContext } from './utils/scanContext.js';
+
+const POLICY_DIRECTIVES = ['noindex', 'nofollow', 'noarchive', 'nosnippet', 'noimageindex', 'noai', 'noimageai'];
+const DIRECTIVE_ALIASES = { none: ['noindex', 'nofollow'] };
+const NOFOLLOW_RELS = ['nofollow', 'ugc', 'sponsored'];
+const MAX_LINK_EVIDENCE = 20;
+const LINK_SELECTOR = 'a[href], area[href]';
+
+export function detectSitePolicy(options = {}) {
+  const context = options.context || createScanContext(document, { locale: options.locale });
+  const sources = collectDirectiveSources(context);
+  const directives = Object.fromEntries(POLICY_DIRECTIVES.map(directive => [
+    directive,
+    sources.some(source => source.directives.includes(directive))
+  ]));
+
+  const tdmElement = context.query('meta[name="tdm-reservation" i]')
+    .find(meta => (meta.getAttribute('content') || '').trim() === '1');
+  const nofollowElements = context.query('a[rel]').filter(isNofollowLink);
+  const gates = {
+    age: runDetector('age_gate', context),
+    terms: runDetector('terms_gate', context)
+  };
+
+  const report = {
+    directives,
+    sources,
+    tdmReservation: tdmElement ? { reserved: true, evidence: collectEvidence([tdmElement]) } : { reserved: false, evidence: [] },
+    nofollowLinks: {
+      count: nofollowElements.length,
+      evidence: collectEvidence(nofollowElements.slice(0, MAX_LINK_EVIDENCE))
+    },
+    gates,
+    allow: {
+      index: !directives.noindex,
+      follow: !directives.nofollow,
+      archive: !directives.noarchive,
+      ai: !directives.noai && !tdmElement
+    },
+    gated: gates.age.detected || gates.terms.detected
+  };
+
+  if (options.links) {
+    report.links = inspectLinks(options.links, context);
+  }
+  return report;
+}
+
+function collectDirectiveSources(context) {
+  const robotsMeta = context.query('meta[name][content]')
+    .filter(meta => isRobotsAgent(meta.getAttribute('name')))
+    .map(meta => ({
+      source: 'meta',
+      agent: meta.getAttribute('name').toLowerCase(),
+      element: meta
+    }));
+  const headerMeta = context.query('meta[http-equiv="x-robots-tag" i][content]')
+    .map(meta => ({ source: 'x-robots-tag', agent: null, element: meta }));
+
+  return [...robotsMeta, ...headerMeta].map(({ source, agent, element }) => {
+    const content = element.getAttribute('content') || '';
+    const parsed = parseDirectiveContent(content);
+    return {
+      source,
+      agent: agent || parsed.agent,
+      content,
+      directives: parsed.directives,
+      evidence: collectEvidence([element])
+    };
+  });
+}
+
+function isRobotsAgent(name) {
+  const value = String(name || '').toLowerCase();
+  return value === 'robots' || /bot$/.test(value);
+}
+
+function parseDirectiveContent(content) {
+  let agent = null;
+  let body = content.trim();
+  const agentMatch = body.match(/^([a-z0-9_-]+)\s*:\s*(.*)$/i);
+  if (agentMatch && !/^(max-|unavailable_after$)/i.test(agentMatch[1])) {
+    agent = agentMatch[1].toLowerCase();
+    body = agentMatch[2];
+  }
+
+  const directives = body
+    .split(',')
+    .map(token => token.trim().toLowerCase())
+    .filter(Boolean)
+    .flatMap(token => DIRECTIVE_ALIASES[token] || [token]);
+  return { agent, directives: Array.from(new Set(directives)) };
+}
+
+function isNofollowLink(link) {
+  const rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+  return rel.some(value => NOFOLLOW_RELS.includes(value));
+}
+
+function inspectLinks(links, context) {
+  const targets = Array.isArray(links) ? links : [links];
+  return targets.map(target => {
+    const elements = findLinks(target, context);
+    const rel = Array.from(new Set(elements.flatMap(link => (link.getAttribute('rel') || '').toLowerCase().split(/\s+/).filter(Boolean))));
+    return {
+      link: target,
+      found: elements.length > 0,
+      nofollow: elements.some(isNofollowLink),
+      rel,
+      evidence: collectEvidence(elements.slice(0, MAX_LINK_EVIDENCE))
+    };
+  });
+}
+
+function findLinks(target, context) {
+  const { selector, href } = typeof target === 'string' ? { href: target } : target || {};
+  if (typeof selector === 'string') {
+    try {
+      return context.query(selector).filter(element => element.matches(LINK_SELECTOR));
+    } catch (_) {
+      throw new TypeError(`Invalid link selector "${selector}"`);
+    }
+  }
+  if (typeof href === 'string') {
+    const root = context.root || document;
+    const wanted = toAbsoluteUrl(href, (root.ownerDocument || root).baseURI);
+    return context.query(LINK_SELECTOR)
+      .filter(link => toAbsoluteUrl(link.getAttribute('href'), link.ownerDocument.baseURI) === wanted);
+  }
+  throw new TypeError('Links must be given as { selector } or { href }');
+}
+
+function toAbsoluteUrl(href, base) {
+  try {
+    return new URL(href, base).href;
+  } catch (_) {
+    return href;
+  }
+}
@@ -0,0 +1,68 @@
+import { accessBlockRules } from './rules/accessBlock.js';
+import { captchaRules } from './rules/captcha.js';
+import { consentRules } from './rules/consent.js';
+import { loginWallRules } from './rules/loginWall.js';
+import { ageGateRules, termsGateRules } from './rules/sitePolicy.js';
+import { evaluateDetector, normalizeDetectorDefinition } from './utils/ruleEngine.js';
+import { createScanContext } from './utils/scanContext.js';
+
+const BUILT_IN_DETECTORS = [accessBlockRules, captchaRules, loginWallRules, consentRules, ageGateRules, termsGateRules];
+
+const registry = new Map();
+
+export function registerDetector(definition) {
+  let source = definition;
+  if (definition && typeof definition.extends === 'string') {
+    const base = registry.get(definition.extends);
+    if (!base) {
+      throw new TypeError(`Cannot extend unknown detector "${definition.extends}"`);
+    }
+    const { extends: _, additionalRules = [], reason, ...overrides } = definition;
+    const name = overrides.name || base.name;
+    source = {
+      ...base,
+      ...overrides,
+      name,
+      reason: reason || (name === base.name ? base.reason : name),
+      rules: [...(overrides.rules || base.rules), ...additionalRules]
+    };
+  }
+
+  const normalized = normalizeDetectorDefinition(source);
+  registry.set(normalized.name, normalized);
+  return normalized;
+}
+
+export function registerDetectors(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new TypeError('Detector definitions must be an array');
+  }
+  return definitions.map(registerDetector);
+}
+
+export function unregisterDetector(name) {
+  return registry.delete(name);
+}
+
+export function getDetector(name) {
+  return registry.get(name) || null;
+}
+
+export function listDetectors() {
+  return Array.from(registry.values());
+}
+
+export function resetDetectors() {
+  registry.clear();
+  BUILT_IN_DETECTORS.forEach(registerDetector);
+}
+
+export function runDetector(name, context = createScanContext()) {
+  const definition = registry.get(name);
+  if (!definition) {
+    throw new TypeError(`Unknown detector "${name}"`);
+  }
+  return evaluateDetector(definition, context);
+}
+
+resetDetectors();
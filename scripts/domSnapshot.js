@@ -0,0 +1,390 @@
+import { resolveTarget } from './utils/actionability.js';
+import {
+  SENSITIVE_SELECTORS,
+  buildSelectorPath,
+  deepQuerySelector,
+  getEvidenceElement,
+  getFrameOffset,
+  isSensitiveElement
+} from './utils/dom.js';
+
+export const SENSITIVE_TEXT_PATTERNS = [
+  /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  /\b(?:\d[ -]?){12,18}\d\b/g,
+  /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g,
+  /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g,
+  /\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}/g
+];
+
+const SNAPSHOT_SCOPES = ['context', 'viewport', 'document'];
+const SNAPSHOT_FORMATS = ['html', 'json'];
+const SKIPPED_TAGS = ['script', 'noscript', 'template', 'style', 'link', 'meta', 'base', 'object', 'embed'];
+const VOID_TAGS = ['area', 'br', 'col', 'hr', 'img', 'input', 'source', 'track', 'wbr'];
+const KEPT_ATTRIBUTES = [
+  'id', 'class', 'role', 'name', 'type', 'href', 'src', 'alt', 'title', 'placeholder', 'for', 'action', 'method',
+  'lang', 'dir', 'hidden', 'disabled', 'readonly', 'required', 'tabindex', 'draggable', 'open', 'rel', 'target',
+  'width', 'height', 'contenteditable'
+];
+const URL_ATTRIBUTES = ['href', 'src', 'action'];
+const URL_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+const DATA_URL_TAGS = ['img', 'source'];
+const REDACTED = '[redacted]';
+const MATCH_ATTRIBUTE = 'data-aura-match';
+const HIGHLIGHT_STYLE = `[${MATCH_ATTRIBUTE}]{outline:3px solid #e0245e;outline-offset:2px}`;
+const MAX_URL_LENGTH = 500;
+
+const defaultSnapshotOptions = {
+  targets: [],
+  scope: null,
+  format: 'html',
+  contextDepth: 2,
+  maxNodes: 1500,
+  maxTextLength: 300,
+  redactInputs: true,
+  redactPatterns: SENSITIVE_TEXT_PATTERNS,
+  redactSelectors: SENSITIVE_SELECTORS,
+  includeRects: true,
+  includeShadow: true,
+  includeFrames: true
+};
+
+export function captureDomSnapshot(options = {}) {
+  const settings = { ...defaultSnapshotOptions, ...options };
+  const { elements, unresolved } = resolveSnapshotTargets(settings.targets);
+  const scope = settings.scope || (elements.length > 0 ? 'context' : 'viewport');
+  if (!SNAPSHOT_SCOPES.includes(scope)) {
+    throw new TypeError(`Unknown snapshot scope "${scope}"`);
+  }
+  if (!SNAPSHOT_FORMATS.includes(settings.format)) {
+    throw new TypeError(`Unknown snapshot format "${settings.format}"`);
+  }
+
+  const state = {
+    settings,
+    scope,
+    patterns: compilePatterns(settings.redactPatterns),
+    marks: new Map(elements.map((element, index) => [element, index])),
+    included: new Set(),
+    viewport: { width: window.innerWidth || 0, height: window.innerHeight || 0 },
+    nodes: 0,
+    redactions: 0,
+    truncated: false
+  };
+
+  const roots = scope === 'context'
+    ? findContextRoots(elements, settings.contextDepth)
+    : [document.body || document.documentElement];
+  const serialized = roots
+    .map(root => ({ path: buildSelectorPath(root), node: serializeNode(root, state) }))
+    .filter(root => root.node);
+
+  const metadata = {
+    format: settings.format,
+    scope,
+    url: typeof location !== 'undefined' ? `${location.origin}${location.pathname}` : '',
+    title: redactText(document.title || '', state),
+    capturedAt: new Date().toISOString(),
+    viewport: { ...state.viewport, scrollX: window.scrollX || 0, scrollY: window.scrollY || 0 },
+    nodes: state.nodes,
+    truncated: state.truncated,
+    redactions: state.redactions,
+    marked: elements.map((element, index) => ({
+      index,
+      path: buildSelectorPath(element),
+      included: state.included.has(element)
+    })),
+    unresolved
+  };
+
+  return {
+    type: 'dom_snapshot',
+    data: settings.format === 'json' ? { roots: serialized } : renderDocument(serialized, metadata),
+    metadata
+  };
+}
+
+function resolveSnapshotTargets(targets) {
+  const list = (Array.isArray(targets) ? targets : [targets])
+    .flatMap(target => target && Array.isArray(target.evidence) ? target.evidence : [target])
+    .filter(target => target !== null && target !== undefined);
+  const elements = [];
+  const unresolved = [];
+
+  list.forEach(target => {
+    let element = null;
+    try {
+      element = isEvidenceEntry(target)
+        ? getEvidenceElement(target) || deepQuerySelector(target.path || target.selector)
+        : resolveTarget(target);
+    } catch (_) {
+      // an unusable target is reported in metadata.unresolved
+    }
+
+    if (element && element.nodeType === 1) {
+      if (!elements.includes(element)) {
+        elements.push(element);
+      }
+    } else {
+      unresolved.push(isEvidenceEntry(target) ? target.path || target.selector : String(target));
+    }
+  });
+
+  return { elements, unresolved };
+}
+
+function isEvidenceEntry(target) {
+  return Boolean(target) && typeof target === 'object' && !target.nodeType
+    && typeof target.selector === 'string' && 'areaRatio' in target;
+}
+
+function findContextRoots(elements, depth) {
+  const roots = elements.map(element => {
+    let root = element;
+    for (let level = 0; level < depth; level += 1) {
+      const parent = root.parentElement || (root.getRootNode() && root.getRootNode().host) || null;
+      if (!parent || parent === parent.ownerDocument.body || parent === parent.ownerDocument.documentElement) {
+        break;
+      }
+      root = parent;
+    }
+    return root;
+  });
+
+  return roots.filter((root, index) => roots.indexOf(root) === index
+    && !roots.some(other => other !== root && other.contains(root)));
+}
+
+function serializeNode(node, state) {
+  if (node.nodeType === 3) {
+    return serializeText(node.nodeValue, state);
+  }
+  if (node.nodeType !== 1 || SKIPPED_TAGS.includes(String(node.localName).toLowerCase())) {
+    return null;
+  }
+  if (state.nodes >= state.settings.maxNodes) {
+    state.truncated = true;
+    return null;
+  }
+  if (state.scope === 'viewport' && isOutsideViewport(node)) {
+    return null;
+  }
+
+  state.nodes += 1;
+  const tag = node.tagName.toLowerCase();
+  const entry = { tag, attrs: serializeAttributes(node, state) };
+  if (state.marks.has(node)) {
+    entry.attrs[MATCH_ATTRIBUTE] = String(state.marks.get(node));
+    entry.matched = true;
+    state.included.add(node);
+  }
+  if (state.settings.includeRects) {
+    const rect = node.getBoundingClientRect();
+    const offset = getFrameOffset(node);
+    entry.rect = [rect.left + offset.x, rect.top + offset.y, rect.width, rect.height].map(Math.round);
+  }
+
+  const formChildren = applyFormState(node, tag, entry, state);
+  if (formChildren) {
+    entry.children = formChildren;
+  } else if (!VOID_TAGS.includes(tag) && isSensitive(node, state)) {
+    state.redactions += 1;
+    entry.children = [{ text: REDACTED }];
+  } else {
+    entry.children = serializeChildren(node.childNodes, state);
+  }
+
+  if (state.settings.includeShadow && node.shadowRoot) {
+    entry.shadow = serializeChildren(node.shadowRoot.childNodes, state);
+  }
+  if (state.settings.includeFrames && (tag === 'iframe' || tag === 'frame')) {
+    const frameBody = getFrameBody(node);
+    if (frameBody) {
+      entry.frame = serializeNode(frameBody, state);
+    }
+  }
+
+  return entry;
+}
+
+function serializeChildren(nodes, state) {
+  return Array.from(nodes)
+    .map(child => serializeNode(child, state))
+    .filter(Boolean);
+}
+
+function serializeText(value, state) {
+  const text = String(value || '').replace(/\s+/g, ' ');
+  if (!text) {
+    return null;
+  }
+  const limit = state.settings.maxTextLength;
+  const trimmed = text.length > limit ? `${text.slice(0, limit)}…` : text;
+  return { text: redactText(trimmed, state) };
+}
+
+function serializeAttributes(node, state) {
+  const attrs = {};
+  Array.from(node.attributes).forEach(({ name, value }) => {
+    if (!KEPT_ATTRIBUTES.includes(name) && !name.startsWith('aria-') && name !== 'data-testid') {
+      return;
+    }
+    if (URL_ATTRIBUTES.includes(name)) {
+      const url = normalizeUrl(value, node, name, state);
+      if (url !== null) {
+        attrs[name] = redactText(url, state);
+      }
+      return;
+    }
+    attrs[name] = redactText(value, state);
+  });
+  return attrs;
+}
+
+function applyFormState(node, tag, entry, state) {
+  const redactInputs = state.settings.redactInputs;
+  if (tag === 'input') {
+    const type = (node.getAttribute('type') || 'text').toLowerCase();
+    if (type === 'checkbox' || type === 'radio') {
+      if (node.checked) {
+        entry.attrs.checked = '';
+      }
+      return null;
+    }
+    if (node.value) {
+      const redact = redactInputs || type === 'hidden' || isSensitive(node, state);
+      entry.attrs.value = redact ? REDACTED : redactText(node.value, state);
+      state.redactions += redact ? 1 : 0;
+    }
+    return null;
+  }
+
+  if (tag === 'textarea') {
+    if (!node.value) {
+      return [];
+    }
+    state.redactions += redactInputs ? 1 : 0;
+    return [{ text: redactInputs ? REDACTED : redactText(node.value, state) }];
+  }
+
+  if (tag === 'option' && node.selected) {
+    entry.attrs.selected = '';
+    return null;
+  }
+
+  if (redactInputs && node.hasAttribute('contenteditable') && node.isContentEditable) {
+    state.redactions += 1;
+    return [{ text: REDACTED }];
+  }
+  return null;
+}
+
+function isSensitive(node, state) {
+  return isSensitiveElement(node, state.settings.redactSelectors);
+}
+
+function isOutsideViewport(node) {
+  if (node.ownerDocument !== document) {
+    return false;
+  }
+  const rect = node.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) {
+    return false;
+  }
+  const width = window.innerWidth || document.documentElement.clientWidth;
+  const height = window.innerHeight || document.documentElement.clientHeight;
+  return rect.bottom < 0 || rect.right < 0 || rect.top > height || rect.left > width;
+}
+
+function getFrameBody(frame) {
+  try {
+    return frame.contentDocument ? frame.contentDocument.body : null;
+  } catch (_) {
+    // cross-origin frames are not accessible
+    return null;
+  }
+}
+
+function normalizeUrl(value, node, attribute, state) {
+  let parsed;
+  try {
+    parsed = new URL(String(value || '').trim(), node.ownerDocument.baseURI);
+  } catch (_) {
+    return null;
+  }
+
+  if (parsed.protocol === 'data:') {
+    const imageSource = attribute === 'src' && DATA_URL_TAGS.includes(String(node.localName).toLowerCase());
+    return imageSource && /^data:image\//i.test(parsed.href) && parsed.href.length <= MAX_URL_LENGTH ? parsed.href : null;
+  }
+  if (!URL_PROTOCOLS.includes(parsed.protocol)) {
+    return null;
+  }
+
+  if (parsed.search || parsed.hash) {
+    state.redactions += 1;
+  }
+  parsed.search = '';
+  parsed.hash = '';
+  return parsed.href;
+}
+
+function compilePatterns(patterns) {
+  return (patterns || []).map(pattern => {
+    if (pattern instanceof RegExp) {
+      return new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`);
+    }
+    return new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+  });
+}
+
+function redactText(text, state) {
+  return state.patterns.reduce((current, pattern) => current.replace(pattern, () => {
+    state.redactions += 1;
+    return REDACTED;
+  }), text);
+}
+
+function renderDocument(roots, metadata) {
+  const body = roots
+    .map(root => (root.node.tag === 'body'
+      ? renderChildren(root.node)
+      : `<section data-aura-context="${escapeHtml(root.path || '')}">${renderNode(root.node)}</section>`))
+    .join('');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(metadata.title)}</title>`
+    + `<style>${HIGHLIGHT_STYLE}</style></head><body data-aura-scope="${metadata.scope}">${body}</body></html>`;
+}
+
+function renderNode(node) {
+  if (node.text !== undefined) {
+    return escapeHtml(node.text);
+  }
+
+  const attrs = { ...node.attrs };
+  if (node.rect) {
+    attrs['data-aura-rect'] = node.rect.join(',');
+  }
+  if (node.frame) {
+    attrs.srcdoc = `<!DOCTYPE html><html><head><style>${HIGHLIGHT_STYLE}</style></head><body>${renderChildren(node.frame)}</body></html>`;
+  }
+  const attributeText = Object.entries(attrs)
+    .map(([name, value]) => (value === '' ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('');
+
+  if (VOID_TAGS.includes(node.tag)) {
+    return `<${node.tag}${attributeText}>`;
+  }
+  const shadow = node.shadow ? `<template shadowrootmode="open">${node.shadow.map(renderNode).join('')}</template>` : '';
+  return `<${node.tag}${attributeText}>${shadow}${renderChildren(node)}</${node.tag}>`;
+}
+
+function renderChildren(node) {
+  return (node.children || []).map(renderNode).join('');
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
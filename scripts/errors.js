@@ -0,0 +1,105 @@
+export class ActionError extends Error {
+  constructor(message, { errorType = 'action_failed', canRetry = false, details = {} } = {}) {
+    super(message);
+    this.name = 'ActionError';
+    this.errorType = errorType;
+    this.canRetry = canRetry;
+    this.details = details;
+  }
+
+  toJSON() {
+    return {
+      message: this.message,
+      errorType: this.errorType,
+      canRetry: this.canRetry,
+      details: this.details
+    };
+  }
+}
+
+export class ElementNotFoundError extends ActionError {
+  constructor(target, details = {}) {
+    super(`Element not found: ${target}`, { errorType: 'element_not_found', canRetry: true, details: { target, ...details } });
+    this.name = 'ElementNotFoundError';
+  }
+}
+
+export class ElementNotVisibleError extends ActionError {
+  constructor(target, details = {}) {
+    super(`Element not visible: ${target}`, { errorType: 'element_not_visible', canRetry: true, details: { target, ...details } });
+    this.name = 'ElementNotVisibleError';
+  }
+}
+
+export class ElementNotInteractableError extends ActionError {
+  constructor(target, details = {}) {
+    super(`Element not interactable: ${target}`, { errorType: 'element_not_interactable', canRetry: true, details: { target, ...details } });
+    this.name = 'ElementNotInteractableError';
+  }
+}
+
+export class ElementObscuredError extends ActionError {
+  constructor(target, details = {}) {
+    const suffix = details.obscuredBy ? ` (covered by ${details.obscuredBy})` : '';
+    super(`Element obscured: ${target}${suffix}`, { errorType: 'element_obscured', canRetry: true, details: { target, ...details } });
+    this.name = 'ElementObscuredError';
+  }
+}
+
+export class ElementDetachedError extends ActionError {
+  constructor(target, details = {}) {
+    super(`Element detached during action: ${target}`, { errorType: 'element_detached', canRetry: true, details: { target, ...details } });
+    this.name = 'ElementDetachedError';
+  }
+}
+
+export class AmbiguousTargetError extends ActionError {
+  constructor(target, candidates, details = {}) {
+    const count = details.count ?? candidates.length;
+    super(`Locator matched ${count} elements: ${target}`, {
+      errorType: 'ambiguous_target',
+      canRetry: false,
+      details: { target, count, candidates, ...details }
+    });
+    this.name = 'AmbiguousTargetError';
+  }
+}
+
+export class ActionTimeoutError extends ActionError {
+  constructor(action, timeoutMs, details = {}) {
+    super(`Action "${action}" timed out after ${timeoutMs}ms`, { errorType: 'timeout', canRetry: true, details: { action, timeoutMs, ...details } });
+    this.name = 'ActionTimeoutError';
+  }
+}
+
+export class ActionAbortedError extends ActionError {
+  constructor(action, reason, details = {}) {
+    super(`Action "${action}" aborted${reason ? `: ${reason}` : ''}`, { errorType: 'aborted', canRetry: false, details: { action, reason, ...details } });
+    this.name = 'ActionAbortedError';
+  }
+}
+
+export function toActionError(error) {
+  if (error instanceof ActionError) {
+    return error;
+  }
+
+  if (error instanceof TypeError || error instanceof RangeError) {
+    return new ActionError(error.message, { errorType: 'invalid_argument', canRetry: false });
+  }
+
+  const message = error && error.message ? error.message : String(error);
+  return new ActionError(message, { errorType: 'script_error', canRetry: false });
+}
+
+export function toCommandError(errorOrResult) {
+  const error = errorOrResult && errorOrResult.ok === false
+    ? errorOrResult.error
+    : toActionError(errorOrResult).toJSON();
+
+  return {
+    error: error.message,
+    errorType: error.errorType,
+    canRetry: error.canRetry
+  };
+}
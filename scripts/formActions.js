@@ -0,0 +1,295 @@
+import { humanLikeCheck, humanLikeSelect, humanLikeUncheck } from './controlActions.js';
+import { ElementNotFoundError } from './errors.js';
+import { humanLikeClick, humanLikeType } from './humanLikeActions.js';
+import { describeTarget, waitForActionable } from './utils/actionability.js';
+import { runAction, unwrapResult } from './utils/actionRunner.js';
+import { buildSelectorPath, deepQuerySelector, deepQuerySelectorAll, getElementText } from './utils/dom.js';
+import { readValue, setNativeValue } from './utils/editing.js';
+import { emit } from './utils/events.js';
+import { isLocator, resolveLocator } from './utils/locators.js';
+
+const TEXT_INPUT_TYPES = ['text', 'email', 'password', 'search', 'tel', 'url', 'number', ''];
+const DIRECT_INPUT_TYPES = ['date', 'time', 'datetime-local', 'month', 'week', 'color', 'range'];
+const CHECKED_VALUES = ['true', 'on', 'yes', '1', 'checked'];
+const UNCHECKED_VALUES = ['false', 'off', 'no', '0', '', 'unchecked'];
+const FIELD_SELECTOR = 'input, textarea, select, [contenteditable="true"], [contenteditable=""]';
+
+const defaultFillProfile = {
+  navigation: 'pointer',
+  fieldDelayMs: 350,
+  fieldVarianceMs: 150,
+  stopOnError: false,
+  clearFirst: true,
+  typing: {},
+  click: {}
+};
+
+export function humanLikeFillForm(formSelector, fields, profile = {}) {
+  return runAction('fillForm', run => performFillForm(run, formSelector, fields, profile), profile);
+}
+
+async function performFillForm(run, formSelector, fields, profile) {
+  const options = { ...defaultFillProfile, ...profile };
+  if (!['pointer', 'tab'].includes(options.navigation)) {
+    throw new TypeError(`Unknown navigation mode "${options.navigation}"`);
+  }
+
+  const { element: form } = await waitForActionable(formSelector, {
+    checks: ['attached'],
+    signal: run.signal,
+    timeoutMs: options.typing.waitTimeoutMs ?? 5000
+  });
+
+  const entries = normalizeFields(fields);
+  const nested = { signal: run.signal, seed: run.seed, random: run.random };
+  const report = [];
+  run.progress.fields = report;
+
+  let previous = null;
+  for (let index = 0; index < entries.length; index += 1) {
+    const { field, value } = entries[index];
+    run.checkpoint();
+
+    if (index > 0) {
+      await run.wait(Math.max(0, options.fieldDelayMs + (run.random() - 0.5) * 2 * options.fieldVarianceMs));
+    }
+
+    let element;
+    try {
+      element = findFormField(form, field);
+    } catch (error) {
+      report.push(failedField(field, null, error));
+      if (options.stopOnError) {
+        break;
+      }
+      continue;
+    }
+    if (!element) {
+      report.push(failedField(field, null, new ElementNotFoundError(describeTarget(field))));
+      if (options.stopOnError) {
+        break;
+      }
+      continue;
+    }
+
+    const kind = getFieldKind(element);
+    try {
+      await focusField(run, previous, element, kind, options, nested);
+      const outcome = await applyFieldValue(element, kind, value, form, options, nested);
+      report.push({
+        field,
+        target: buildSelectorPath(element),
+        kind,
+        ok: true,
+        value: describeValue(element, outcome)
+      });
+      previous = element;
+    } catch (error) {
+      run.checkpoint();
+      report.push(failedField(field, element, error, kind));
+      if (options.stopOnError) {
+        break;
+      }
+    }
+  }
+
+  const failed = report.filter(entry => !entry.ok).length;
+  return {
+    form: buildSelectorPath(form),
+    filled: report.length - failed,
+    failed,
+    fields: report
+  };
+}
+
+function normalizeFields(fields) {
+  if (Array.isArray(fields)) {
+    return fields.map(entry => ({ field: entry.field, value: entry.value }));
+  }
+
+  if (fields && typeof fields === 'object') {
+    return Object.entries(fields).map(([field, value]) => ({ field, value }));
+  }
+
+  throw new TypeError('Form fields must be an object map or an array of { field, value }');
+}
+
+function findFormField(form, key) {
+  if (isLocator(key)) {
+    return resolveLocator(key, form);
+  }
+
+  const controls = deepQuerySelectorAll(FIELD_SELECTOR, form);
+  const byName = controls.find(control => control.getAttribute('name') === key || control.id === key);
+  if (byName) {
+    return byName;
+  }
+
+  const wanted = normalizeLabel(key);
+  const byLabel = deepQuerySelectorAll('label', form)
+    .find(label => normalizeLabel(getElementText(label)) === wanted);
+  if (byLabel) {
+    const control = byLabel.control
+      || (byLabel.htmlFor && form.ownerDocument.getElementById(byLabel.htmlFor))
+      || byLabel.querySelector(FIELD_SELECTOR);
+    if (control) {
+      return control;
+    }
+  }
+
+  const byAttribute = controls.find(control => normalizeLabel(control.getAttribute('aria-label')) === wanted
+    || normalizeLabel(control.getAttribute('placeholder')) === wanted);
+  if (byAttribute) {
+    return byAttribute;
+  }
+
+  try {
+    return deepQuerySelector(key, form);
+  } catch (_) {
+    // not a CSS selector either
+    return null;
+  }
+}
+
+function normalizeLabel(text) {
+  return String(text || '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s:*]+$/, '')
+    .trim()
+    .toLowerCase();
+}
+
+function getFieldKind(element) {
+  const tag = element.tagName;
+  if (tag === 'TEXTAREA' || element.isContentEditable) {
+    return 'text';
+  }
+  if (tag === 'SELECT') {
+    return 'select';
+  }
+
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  if (type === 'checkbox' || type === 'radio') {
+    return type;
+  }
+  if (DIRECT_INPUT_TYPES.includes(type)) {
+    return 'direct';
+  }
+  if (TEXT_INPUT_TYPES.includes(type)) {
+    return 'text';
+  }
+  return 'unsupported';
+}
+
+async function focusField(run, previous, element, kind, options, nested) {
+  if (options.navigation === 'tab' && previous && kind !== 'checkbox' && kind !== 'radio') {
+    const base = { key: 'Tab', code: 'Tab', bubbles: true, cancelable: true };
+    emit(previous, new KeyboardEvent('keydown', base));
+    emit(previous, new FocusEvent('blur', { relatedTarget: element }));
+    emit(previous, new FocusEvent('focusout', { bubbles: true, relatedTarget: element }));
+    element.focus();
+    emit(element, new FocusEvent('focus', { relatedTarget: previous }));
+    emit(element, new FocusEvent('focusin', { bubbles: true, relatedTarget: previous }));
+    emit(element, new KeyboardEvent('keyup', base));
+    await run.wait(40 + run.random() * 60);
+    return;
+  }
+
+  if (kind === 'text' || kind === 'direct') {
+    unwrapResult(await humanLikeClick(element, { ...options.click, ...nested }));
+  }
+}
+
+async function applyFieldValue(element, kind, value, form, options, nested) {
+  switch (kind) {
+    case 'text':
+      return unwrapResult(await humanLikeType(element, String(value ?? ''), {
+        clearFirst: options.clearFirst,
+        fireChange: true,
+        ...options.typing,
+        ...nested
+      }));
+    case 'direct':
+      return setDirectValue(element, value);
+    case 'select':
+      return unwrapResult(await humanLikeSelect(element, value, { ...options.click, ...nested }));
+    case 'checkbox': {
+      const toggle = toCheckedState(value) ? humanLikeCheck : humanLikeUncheck;
+      return unwrapResult(await toggle(element, { ...options.click, ...nested }));
+    }
+    case 'radio':
+      return chooseRadio(element, value, form, options, nested);
+    default:
+      throw new TypeError(`Unsupported field type "${element.getAttribute('type') || element.tagName.toLowerCase()}"`);
+  }
+}
+
+function toCheckedState(value) {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === null || value === undefined) {
+    return false;
+  }
+  if (typeof value === 'number') {
+    return value !== 0;
+  }
+
+  const normalized = String(value).trim().toLowerCase();
+  if (CHECKED_VALUES.includes(normalized)) {
+    return true;
+  }
+  if (UNCHECKED_VALUES.includes(normalized)) {
+    return false;
+  }
+  throw new TypeError(`Cannot use "${value}" as a checkbox value`);
+}
+
+function setDirectValue(element, value) {
+  const next = value instanceof Date ? value.toISOString().slice(0, 10) : String(value ?? '');
+  setNativeValue(element, next);
+  emit(element, new Event('input', { bubbles: true }));
+  emit(element, new Event('change', { bubbles: true }));
+  return { value: readValue(element) };
+}
+
+async function chooseRadio(element, value, form, options, nested) {
+  const name = element.getAttribute('name');
+  const group = name
+    ? deepQuerySelectorAll('input[type="radio"]', form).filter(radio => radio.getAttribute('name') === name)
+    : [element];
+  const wanted = String(value);
+  const target = group.find(radio => radio.value === wanted)
+    || group.find(radio => Array.from(radio.labels || []).some(label => normalizeLabel(getElementText(label)) === normalizeLabel(wanted)));
+
+  if (!target) {
+    throw new RangeError(`No radio option "${wanted}" in group "${name}"`);
+  }
+
+  const outcome = unwrapResult(await humanLikeCheck(target, { ...options.click, ...nested }));
+  return { value: target.value, checked: outcome.checked };
+}
+
+function describeValue(element, outcome) {
+  if (element.getAttribute('type') === 'password') {
+    return { redacted: true };
+  }
+  if (outcome && outcome.verification) {
+    return { value: outcome.verification.actual, verified: outcome.verification.matches };
+  }
+  return outcome;
+}
+
+function failedField(field, element, error, kind = null) {
+  return {
+    field,
+    target: element ? buildSelectorPath(element) : null,
+    kind,
+    ok: false,
+    error: {
+      message: error.message,
+      errorType: error.errorType || (error instanceof TypeError || error instanceof RangeError ? 'invalid_argument' : 'script_error'),
+      canRetry: Boolean(error.canRetry)
+    }
+  };
+}
@@ -1,3 +1,23 @@
+import { ElementDetachedError, ElementNotFoundError } from './errors.js';
+import { getKeyboardLayout, parseKeyChord, resolveKeystroke } from './keyboardLayouts.js';
+import { getPersonaProfile } from './persona.js';
+import { createTouchEvent, performTap, resolveInputMode, swipeGesture } from './touchActions.js';
+import {
+  CLICK_CHECKS,
+  TYPE_CHECKS,
+  assertReceivesEvents,
+  describeTarget,
+  resolveTarget,
+  waitForActionable
+} from './utils/actionability.js';
+import { runAction } from './utils/actionRunner.js';
+import { deepQuerySelector, getFrameOffset, scrollByDelta } from './utils/dom.js';
+import { clearValue, deleteBackward, insertText, moveCaretToEnd, readValue } from './utils/editing.js';
+import { emit } from './utils/events.js';
+import { recordEvent, recordScroll } from './utils/journal.js';
+
+export { startJournal, stopJournal, getJournal, exportJournal } from './utils/journal.js';
+
 const defaultTypingProfile = {
   clearFirst: false,
   charDelayMs: 120,
@@ -6,7 +26,18 @@ const defaultTypingProfile = {
   breathEvery: 12,
   breathDelayMs: 420,
   errorRate: 0.015,
-  correctionDelayMs: 180
+  correctionDelayMs: 180,
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50,
+  keyboardLayout: 'us',
+  fireChange: false,
+  blurOnComplete: false
+};
+
+const MODIFIER_KEYS = {
+  shift: { key: 'Shift', code: 'ShiftLeft' },
+  altGraph: { key: 'AltGraph', code: 'AltRight' }
 };
 
 const defaultClickProfile = {
@@ -20,7 +51,10 @@ const defaultClickProfile = {
   pointerVarianceMs: 80,
   targetXRatio: 0.5,
   targetYRatio: 0.5,
-  scrollAlignment: 'center'
+  scrollAlignment: 'center',
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
 };
 
 const defaultScrollProfile = {
@@ -30,7 +64,24 @@ const defaultScrollProfile = {
   delayMs: 180,
   varianceMs: 60,
   stepCount: 8,
-  stepDelayMs: 16
+  stepDelayMs: 16,
+  container: null,
+  target: null,
+  untilStable: false,
+  stableRounds: 2,
+  settleMs: 600,
+  maxChunks: 30,
+  wheel: true,
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
+};
+
+const SCROLL_DIRECTIONS = {
+  down: { axis: 'y', sign: 1 },
+  up: { axis: 'y', sign: -1 },
+  right: { axis: 'x', sign: 1 },
+  left: { axis: 'x', sign: -1 }
 };
 
 const defaultMouseProfile = {
@@ -41,18 +92,60 @@ const defaultMouseProfile = {
   varianceMs: 90
 };
 
+const defaultDragProfile = {
+  hoverMs: 120,
+  holdMs: 160,
+  dropDelayMs: 90,
+  pointerSteps: 18,
+  pointerJitterPx: 4,
+  pointerDurationMs: 480,
+  pointerVarianceMs: 120,
+  html5: 'auto',
+  data: null,
+  files: [],
+  effectAllowed: 'all',
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
+};
+
+const defaultHoverProfile = {
+  holdMs: 800,
+  holdVarianceMs: 200,
+  driftPx: 2,
+  driftIntervalMs: 120,
+  leave: false,
+  pointerSteps: 10,
+  pointerJitterPx: 6,
+  pointerDurationMs: 220,
+  pointerVarianceMs: 80,
+  targetXRatio: 0.5,
+  targetYRatio: 0.5,
+  scrollAlignment: 'center',
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
+};
+
+const defaultKeysProfile = {
+  target: null,
+  keyboardLayout: 'us',
+  keyDelayMs: 60,
+  chordDelayMs: 140,
+  varianceMs: 40,
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
+};
+
 const pointerState = {
   pointerId: 1,
   x: window.innerWidth / 2,
   y: window.innerHeight / 2
 };
 
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
-function randomDelay(base, variance) {
-  const jitter = (Math.random() - 0.5) * 2 * (variance ?? base * 0.35);
+function randomDelay(run, base, variance) {
+  const jitter = (run.random() - 0.5) * 2 * (variance ?? base * 0.35);
   return Math.max(8, base + jitter);
 }
 
@@ -60,22 +153,6 @@ function easeInOutQuad(t) {
   return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
 }
 
-function getKeyCodeForChar(char) {
-  if (/^[a-z]$/i.test(char)) {
-    return `Key${char.toUpperCase()}`;
-  }
-
-  if (/^[0-9]$/.test(char)) {
-    return `Digit${char}`;
-  }
-
-  if (char === ' ') {
-    return 'Space';
-  }
-
-  return undefined;
-}
-
 function dispatchPointerEvent(target, type, x, y, options = {}) {
   const eventInit = {
     bubbles: true,
@@ -92,7 +169,7 @@ function dispatchPointerEvent(target, type, x, y, options = {}) {
   };
 
   const pointerEvent = new PointerEvent(type, eventInit);
-  target.dispatchEvent(pointerEvent);
+  emit(target, pointerEvent);
 
   const mouseTypeMap = {
     pointerover: 'mouseover',
@@ -107,11 +184,11 @@ function dispatchPointerEvent(target, type, x, y, options = {}) {
   const mouseType = mouseTypeMap[type];
   if (mouseType) {
     const mouseEvent = new MouseEvent(mouseType, eventInit);
-    target.dispatchEvent(mouseEvent);
+    emit(target, mouseEvent);
   }
 }
 
-async function smoothPointerMove(targetX, targetY, options) {
+async function smoothPointerMove(run, targetX, targetY, options) {
   const steps = Math.max(2, Math.floor(options.steps ?? defaultMouseProfile.steps));
   const jitterPx = options.jitterPx ?? defaultMouseProfile.jitterPx;
   const durationMs = options.durationMs ?? defaultMouseProfile.durationMs;
@@ -123,236 +200,840 @@ async function smoothPointerMove(targetX, targetY, options) {
   for (let i = 1; i <= steps; i += 1) {
     const progress = i / steps;
     const eased = easeInOutQuad(progress);
-    const deltaX = startX + (targetX - startX) * eased + (Math.random() - 0.5) * jitterPx;
-    const deltaY = startY + (targetY - startY) * eased + (Math.random() - 0.5) * jitterPx;
+    const deltaX = startX + (targetX - startX) * eased + (run.random() - 0.5) * jitterPx;
+    const deltaY = startY + (targetY - startY) * eased + (run.random() - 0.5) * jitterPx;
 
     pointerState.x = deltaX;
     pointerState.y = deltaY;
-    dispatchPointerEvent(document, 'pointermove', pointerState.x, pointerState.y, { pressure: 0 });
-
-    const delay = randomDelay(durationMs / steps, varianceMs / steps);
-    await wait(delay);
-  }
-}
-
-function applyValueInsertion(element, char) {
-  if ('value' in element) {
-    const input = element;
-    const currentValue = input.value ?? '';
-    const selectionStart = input.selectionStart ?? currentValue.length;
-    const selectionEnd = input.selectionEnd ?? currentValue.length;
-    const before = currentValue.slice(0, selectionStart);
-    const after = currentValue.slice(selectionEnd);
-    input.value = `${before}${char}${after}`;
-    const newCaret = selectionStart + char.length;
-    try {
-      input.selectionStart = input.selectionEnd = newCaret;
-    } catch (_) {
-      // ignore selection errors for non-text inputs
+    if (options.dispatchMove) {
+      options.dispatchMove(pointerState.x, pointerState.y);
+    } else {
+      dispatchPointerEvent(document, 'pointermove', pointerState.x, pointerState.y, { pressure: 0 });
     }
-  } else {
-    element.textContent = (element.textContent || '') + char;
+
+    const delay = randomDelay(run, durationMs / steps, varianceMs / steps);
+    await run.wait(delay);
   }
 }
 
-async function simulateBackspace(element, options) {
+async function simulateBackspace(run, element, options) {
   const keyOptions = { key: 'Backspace', code: 'Backspace', bubbles: true, cancelable: true };
-  element.dispatchEvent(new KeyboardEvent('keydown', keyOptions));
-
-  if ('value' in element) {
-    const input = element;
-    const value = input.value ?? '';
-    const selectionStart = input.selectionStart ?? value.length;
-    const selectionEnd = input.selectionEnd ?? value.length;
-
-    if (selectionStart === selectionEnd && selectionStart > 0) {
-      const before = value.slice(0, selectionStart - 1);
-      const after = value.slice(selectionEnd);
-      input.value = `${before}${after}`;
-      try {
-        input.selectionStart = input.selectionEnd = selectionStart - 1;
-      } catch (_) {
-        // ignore selection errors
-      }
-    }
+  emit(element, new KeyboardEvent('keydown', keyOptions));
+
+  deleteBackward(element);
+
+  if (typeof InputEvent === 'function') {
+    emit(element, new InputEvent('input', { inputType: 'deleteContentBackward', data: null, bubbles: true }));
   } else {
-    const text = element.textContent || '';
-    element.textContent = text.slice(0, -1);
+    emit(element, new Event('input', { bubbles: true }));
   }
 
+  emit(element, new KeyboardEvent('keyup', keyOptions));
+  await run.wait(options.correctionDelayMs ?? 150);
+}
+
+function splitGraphemes(text) {
+  if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+    return Array.from(new Intl.Segmenter(undefined, { granularity: 'grapheme' }).segment(text), part => part.segment);
+  }
+  return Array.from(text);
+}
+
+function insertWithInputEvents(element, data, inputType, isComposing = false) {
+  let cancelled = false;
   if (typeof InputEvent === 'function') {
-    element.dispatchEvent(new InputEvent('input', { inputType: 'deleteContentBackward', data: null, bubbles: true }));
-  } else {
-    element.dispatchEvent(new Event('input', { bubbles: true }));
+    cancelled = !emit(element, new InputEvent('beforeinput', { data, inputType, isComposing, bubbles: true, cancelable: true }));
   }
 
-  element.dispatchEvent(new KeyboardEvent('keyup', keyOptions));
-  await wait(options.correctionDelayMs ?? 150);
+  if (!cancelled) {
+    insertText(element, data);
+    if (typeof InputEvent === 'function') {
+      emit(element, new InputEvent('input', { data, inputType, isComposing, bubbles: true }));
+    } else {
+      emit(element, new Event('input', { bubbles: true }));
+    }
+  }
 }
 
-function randomMistypeCharacter(sourceChar) {
+function dispatchKeystroke(element, char, stroke) {
+  const modifiers = { shiftKey: stroke.shift, altKey: stroke.altGraph, ctrlKey: stroke.altGraph };
+  const key = stroke.key || char;
+  const base = { bubbles: true, cancelable: true };
+
+  if (stroke.dead) {
+    const deadModifiers = { shiftKey: stroke.dead.shift, altKey: false, ctrlKey: false };
+    if (stroke.dead.shift) {
+      emit(element, new KeyboardEvent('keydown', { ...base, ...MODIFIER_KEYS.shift, shiftKey: true }));
+    }
+    emit(element, new KeyboardEvent('keydown', { ...base, key: 'Dead', code: stroke.dead.code, ...deadModifiers }));
+    emit(element, new KeyboardEvent('keyup', { ...base, key: 'Dead', code: stroke.dead.code, ...deadModifiers }));
+    if (stroke.dead.shift) {
+      emit(element, new KeyboardEvent('keyup', { ...base, ...MODIFIER_KEYS.shift, shiftKey: false }));
+    }
+  }
+
+  if (stroke.shift) {
+    emit(element, new KeyboardEvent('keydown', { ...base, ...MODIFIER_KEYS.shift, shiftKey: true }));
+  }
+  if (stroke.altGraph) {
+    emit(element, new KeyboardEvent('keydown', { ...base, ...MODIFIER_KEYS.altGraph, altKey: true, ctrlKey: true }));
+  }
+
+  const proceed = emit(element, new KeyboardEvent('keydown', { ...base, key, code: stroke.code, ...modifiers }));
+
+  if (proceed && key !== 'Tab') {
+    emit(element, new KeyboardEvent('keypress', { ...base, key, code: stroke.code, ...modifiers }));
+    if (key === 'Enter') {
+      if (element.tagName === 'TEXTAREA' || element.isContentEditable) {
+        insertWithInputEvents(element, '\n', 'insertLineBreak');
+      }
+    } else {
+      insertWithInputEvents(element, char, 'insertText');
+    }
+  }
+
+  emit(element, new KeyboardEvent('keyup', { ...base, key, code: stroke.code, ...modifiers }));
+
+  if (stroke.altGraph) {
+    emit(element, new KeyboardEvent('keyup', { ...base, ...MODIFIER_KEYS.altGraph, altKey: false, ctrlKey: false }));
+  }
+  if (stroke.shift) {
+    emit(element, new KeyboardEvent('keyup', { ...base, ...MODIFIER_KEYS.shift, shiftKey: false }));
+  }
+}
+
+function dispatchComposition(element, char) {
+  const base = { bubbles: true, cancelable: true };
+  emit(element, new KeyboardEvent('keydown', { ...base, key: 'Process', code: '', keyCode: 229, isComposing: false }));
+  if (typeof CompositionEvent === 'function') {
+    emit(element, new CompositionEvent('compositionstart', { ...base, data: '' }));
+    emit(element, new CompositionEvent('compositionupdate', { ...base, data: char }));
+  }
+  insertWithInputEvents(element, char, 'insertCompositionText', true);
+  if (typeof CompositionEvent === 'function') {
+    emit(element, new CompositionEvent('compositionend', { ...base, data: char }));
+  }
+  emit(element, new KeyboardEvent('keyup', { ...base, key: 'Process', code: '', keyCode: 229, isComposing: false }));
+}
+
+function expectedInsertion(element, characters) {
+  const acceptsLineBreaks = element.tagName === 'TEXTAREA';
+  return characters
+    .filter(char => char !== '\t' && (char !== '\n' || acceptsLineBreaks))
+    .join('');
+}
+
+function typeCharacter(element, char, layout) {
+  const stroke = resolveKeystroke(layout, char);
+  if (stroke) {
+    dispatchKeystroke(element, char, stroke);
+    return 'keystroke';
+  }
+
+  dispatchComposition(element, char);
+  return 'composition';
+}
+
+function randomMistypeCharacter(run, sourceChar) {
   const alphabet = 'abcdefghijklmnopqrstuvwxyz';
   const index = Math.max(0, alphabet.indexOf(sourceChar.toLowerCase()));
-  const offset = Math.random() < 0.5 ? -1 : 1;
+  const offset = run.random() < 0.5 ? -1 : 1;
   const candidate = alphabet[(index + offset + alphabet.length) % alphabet.length];
   return sourceChar === sourceChar.toUpperCase() ? candidate.toUpperCase() : candidate;
 }
 
-export async function humanLikeType(selector, text, profile = {}) {
-  const options = { ...defaultTypingProfile, ...profile };
-  const element = document.querySelector(selector);
-  if (!element) {
-    throw new Error(`Element not found: ${selector}`);
+function ensureAttached(element, target, details) {
+  if (!element.isConnected) {
+    throw new ElementDetachedError(target, details);
+  }
+}
+
+async function acquireElement(run, target, options, checks, { pointAt, label } = {}) {
+  if (!options.autoWait) {
+    const element = resolveTarget(target);
+    if (!element) {
+      throw new ElementNotFoundError(describeTarget(target));
+    }
+    return { element, label: describeTarget(target, element), waitedMs: 0 };
   }
 
+  const { element, waitedMs } = await waitForActionable(target, {
+    checks,
+    pointAt,
+    label,
+    signal: run.signal,
+    timeoutMs: options.waitTimeoutMs,
+    pollMs: options.waitPollMs
+  });
+  return { element, label: label || describeTarget(target, element), waitedMs };
+}
+
+export function humanLikeType(target, text, profile = {}) {
+  return runAction('type', run => performType(run, target, text, profile), profile);
+}
+
+async function performType(run, target, text, profile) {
+  const options = { ...defaultTypingProfile, ...getPersonaProfile('typing'), ...profile };
+  const { element, label, waitedMs } = await acquireElement(run, target, options, TYPE_CHECKS);
+
   element.focus();
-  element.dispatchEvent(new FocusEvent('focus', { bubbles: true, relatedTarget: document.activeElement }));
+  emit(element, new FocusEvent('focus', { bubbles: true, relatedTarget: document.activeElement }));
 
   if (options.clearFirst) {
     if (typeof InputEvent === 'function') {
-      element.dispatchEvent(new InputEvent('beforeinput', { inputType: 'deleteByCommand', bubbles: true, cancelable: true }));
-    }
-    if ('value' in element) {
-      element.value = '';
-    } else {
-      element.textContent = '';
+      emit(element, new InputEvent('beforeinput', { inputType: 'deleteByCommand', bubbles: true, cancelable: true }));
     }
-    element.dispatchEvent(new Event('input', { bubbles: true }));
+    clearValue(element);
+    emit(element, new Event('input', { bubbles: true }));
+  } else {
+    moveCaretToEnd(element);
   }
 
+  const layout = getKeyboardLayout(options.keyboardLayout);
+  const characters = splitGraphemes(text);
+  const expectedValue = `${readValue(element)}${expectedInsertion(element, characters)}`;
   let typedCount = 0;
+  let composedCount = 0;
   let totalDelay = 0;
+  run.progress.typed = 0;
+  run.progress.total = characters.length;
 
-  for (const char of text) {
+  for (const char of characters) {
     const sequence = [];
-    const shouldMistype = options.errorRate > 0 && Math.random() < options.errorRate;
+    const shouldMistype = options.errorRate > 0 && run.random() < options.errorRate;
     if (shouldMistype) {
-      sequence.push({ char: randomMistypeCharacter(char), countsTowardsTotal: false });
+      sequence.push({ char: randomMistypeCharacter(run, char), countsTowardsTotal: false });
     }
     sequence.push({ char, countsTowardsTotal: true });
 
     for (let i = 0; i < sequence.length; i += 1) {
+      run.checkpoint();
+      ensureAttached(element, label, { typed: typedCount });
       const { char: currentChar, countsTowardsTotal } = sequence[i];
-      const code = getKeyCodeForChar(currentChar);
-      const keydownEvent = new KeyboardEvent('keydown', { key: currentChar, code, bubbles: true, cancelable: true });
-      element.dispatchEvent(keydownEvent);
-
-      let beforeInputCancelled = false;
-      if (typeof InputEvent === 'function') {
-        const beforeInput = new InputEvent('beforeinput', { data: currentChar, inputType: 'insertText', bubbles: true, cancelable: true });
-        beforeInputCancelled = !element.dispatchEvent(beforeInput);
-      }
-
-      if (!beforeInputCancelled) {
-        applyValueInsertion(element, currentChar);
-        if (typeof InputEvent === 'function') {
-          element.dispatchEvent(new InputEvent('input', { data: currentChar, inputType: 'insertText', bubbles: true }));
-        } else {
-          element.dispatchEvent(new Event('input', { bubbles: true }));
-        }
+      if (typeCharacter(element, currentChar, layout) === 'composition' && countsTowardsTotal) {
+        composedCount += 1;
       }
 
-      element.dispatchEvent(new KeyboardEvent('keypress', { key: currentChar, code, bubbles: true }));
-      element.dispatchEvent(new KeyboardEvent('keyup', { key: currentChar, code, bubbles: true }));
-
       if (countsTowardsTotal) {
         typedCount += 1;
+        run.progress.typed = typedCount;
       }
 
       if (shouldMistype && i === 0) {
-        const correctionPause = options.correctionDelayMs + Math.random() * options.varianceMs;
+        const correctionPause = options.correctionDelayMs + run.random() * options.varianceMs;
         totalDelay += correctionPause;
-        await wait(correctionPause);
-        await simulateBackspace(element, options);
+        await run.wait(correctionPause);
+        await simulateBackspace(run, element, options);
       } else {
-        const delay = Math.min(options.maxDelayMs, Math.max(0, randomDelay(options.charDelayMs, options.varianceMs)));
+        const delay = Math.min(options.maxDelayMs, Math.max(0, randomDelay(run, options.charDelayMs, options.varianceMs)));
         totalDelay += delay;
-        await wait(delay);
+        await run.wait(delay);
       }
     }
 
     if (options.breathEvery > 0 && typedCount > 0 && typedCount % options.breathEvery === 0) {
-      const pause = options.breathDelayMs + Math.random() * options.varianceMs;
+      const pause = options.breathDelayMs + run.random() * options.varianceMs;
       totalDelay += pause;
-      await wait(pause);
+      await run.wait(pause);
     }
   }
 
-  return { typed: typedCount, totalDelayMs: Math.round(totalDelay) };
+  if (options.fireChange) {
+    emit(element, new Event('change', { bubbles: true }));
+  }
+
+  if (options.blurOnComplete) {
+    element.blur();
+    recordEvent(element, new FocusEvent('blur', { relatedTarget: null }));
+  }
+
+  const actualValue = readValue(element);
+  return {
+    typed: typedCount,
+    composed: composedCount,
+    layout: layout.name,
+    totalDelayMs: Math.round(totalDelay),
+    waitedMs,
+    verification: { expected: expectedValue, actual: actualValue, matches: actualValue === expectedValue }
+  };
 }
 
-export async function humanLikeClick(selector, profile = {}) {
-  const options = { ...defaultClickProfile, ...profile };
-  const element = document.querySelector(selector);
-  if (!element) {
-    throw new Error(`Element not found: ${selector}`);
+export function humanLikeClick(target, profile = {}) {
+  return runAction('click', run => performClick(run, target, profile), profile);
+}
+
+async function performClick(run, target, profile) {
+  if (resolveInputMode(profile) === 'touch') {
+    return { ...(await performTap(run, target, profile)), inputMode: 'touch' };
   }
 
+  const options = { ...defaultClickProfile, ...getPersonaProfile('click'), ...profile };
+  const located = await acquireElement(run, target, options, ['attached', 'visible']);
+  const { element, label } = located;
+  run.progress.stage = 'located';
+
+  element.scrollIntoView({ behavior: 'smooth', block: options.scrollAlignment });
+  await run.wait(options.preMoveDelayMs);
+
+  const pointAt = box => ({
+    x: box.left + box.width * options.targetXRatio,
+    y: box.top + box.height * options.targetYRatio
+  });
+  const actionable = await acquireElement(run, element, options, CLICK_CHECKS, { pointAt, label });
+  const waitedMs = located.waitedMs + actionable.waitedMs;
+  run.progress.stage = 'move';
+
+  const rect = element.getBoundingClientRect();
+  const offset = getFrameOffset(element);
+  const targetX = offset.x + rect.left + rect.width * options.targetXRatio;
+  const targetY = offset.y + rect.top + rect.height * options.targetYRatio;
+
+  await smoothPointerMove(run, targetX, targetY, pointerMotion(options));
+
+  run.progress.stage = 'hover';
+  ensureAttached(element, label, { stage: 'pointer-move' });
+  const localX = pointerState.x - offset.x;
+  const localY = pointerState.y - offset.y;
+
+  dispatchPointerEvent(element, 'pointerover', localX, localY, { pressure: 0.05 });
+  await run.wait(options.hoverMs);
+  dispatchPointerEvent(element, 'pointerenter', localX, localY, { pressure: 0.08 });
+  await run.wait(options.hoverMs / 2);
+
+  ensureAttached(element, label, { stage: 'hover' });
+  if (options.autoWait) {
+    assertReceivesEvents(element, label, targetX - offset.x, targetY - offset.y);
+  }
+  run.progress.stage = 'press';
+  dispatchPointerEvent(element, 'pointerdown', localX, localY, { buttons: 1, pressure: 0.6 });
+  await run.wait(options.pressDurationMs);
+  dispatchPointerEvent(element, 'pointerup', localX, localY, { buttons: 0, pressure: 0 });
+
+  emit(element, new MouseEvent('click', {
+    bubbles: true,
+    cancelable: true,
+    clientX: localX,
+    clientY: localY,
+    view: window,
+    detail: 1
+  }));
+
+  await run.wait(options.releaseDelayMs);
+  return { clicked: true, target: label, waitedMs };
+}
+
+export function humanLikeDrag(source, destination, profile = {}) {
+  return runAction('drag', run => performDrag(run, source, destination, profile), profile);
+}
+
+async function performDrag(run, source, destination, profile) {
+  const options = { ...defaultDragProfile, ...getPersonaProfile('click'), ...profile };
+  const from = await resolvePoint(run, source, options, ['attached', 'visible', 'stable', 'enabled']);
+  run.progress.stage = 'pick';
+
+  await smoothPointerMove(run, from.x, from.y, pointerMotion(options));
+  ensureAttached(from.element, from.label, { stage: 'pointer-move' });
+  dispatchPointerEvent(from.element, 'pointerover', from.x, from.y, { pressure: 0.05 });
+  dispatchPointerEvent(from.element, 'pointerenter', from.x, from.y, { pressure: 0.08 });
+  await run.wait(options.hoverMs);
+  dispatchPointerEvent(from.element, 'pointerdown', from.x, from.y, { buttons: 1, pressure: 0.6 });
+  await run.wait(options.holdMs);
+
+  const draggable = from.element.closest('[draggable="true"]');
+  const useHtml5 = options.html5 === 'auto' ? Boolean(draggable) : Boolean(options.html5);
+  const dragSource = draggable || from.element;
+  const dataTransfer = useHtml5 ? createDataTransfer(options.data, options.files) : null;
+  let dragging = false;
+  if (useHtml5) {
+    dataTransfer.effectAllowed = options.effectAllowed;
+    dragging = dispatchDragEvent(dragSource, 'dragstart', from.x, from.y, dataTransfer);
+    if (dragging) {
+      dispatchPointerEvent(from.element, 'pointercancel', from.x, from.y, { buttons: 0, pressure: 0 });
+    }
+  }
+
+  const to = await resolvePoint(run, destination, options, ['attached', 'visible']);
+  run.progress.stage = 'move';
+  let over = null;
+  let accepted = false;
+
+  await smoothPointerMove(run, to.x, to.y, {
+    ...pointerMotion(options),
+    dispatchMove: (x, y) => {
+      const hit = elementAtPoint(x, y);
+      if (!dragging) {
+        dispatchPointerEvent(hit, 'pointermove', x, y, { buttons: 1, pressure: 0.5 });
+        return;
+      }
+
+      dispatchDragEvent(dragSource, 'drag', x, y, dataTransfer);
+      if (hit !== over) {
+        dispatchDragEvent(hit, 'dragenter', x, y, dataTransfer);
+        if (over) {
+          dispatchDragEvent(over, 'dragleave', x, y, dataTransfer);
+        }
+        over = hit;
+      }
+      accepted = !dispatchDragEvent(hit, 'dragover', x, y, dataTransfer);
+    }
+  });
+
+  await run.wait(options.dropDelayMs);
+  run.progress.stage = 'drop';
+  const dropX = pointerState.x;
+  const dropY = pointerState.y;
+  const dropTarget = over || elementAtPoint(dropX, dropY);
+
+  if (dragging) {
+    if (accepted) {
+      dispatchDragEvent(dropTarget, 'drop', dropX, dropY, dataTransfer);
+    } else {
+      dispatchDragEvent(dropTarget, 'dragleave', dropX, dropY, dataTransfer);
+    }
+    dispatchDragEvent(dragSource, 'dragend', dropX, dropY, dataTransfer);
+  } else {
+    dispatchPointerEvent(dropTarget, 'pointerup', dropX, dropY, { buttons: 0, pressure: 0 });
+  }
+
+  return {
+    dragged: true,
+    mode: dragging ? 'html5' : 'pointer',
+    dropped: dragging ? accepted : true,
+    dropEffect: dragging ? dataTransfer.dropEffect : null,
+    source: from.label,
+    target: to.label,
+    dropTarget: describeTarget(dropTarget, dropTarget),
+    from: { x: Math.round(from.x), y: Math.round(from.y) },
+    to: { x: Math.round(dropX), y: Math.round(dropY) },
+    waitedMs: from.waitedMs + to.waitedMs
+  };
+}
+
+export function humanLikeHover(target, profile = {}) {
+  return runAction('hover', run => performHover(run, target, profile), profile);
+}
+
+async function performHover(run, target, profile) {
+  const options = { ...defaultHoverProfile, ...getPersonaProfile('hover'), ...profile };
+  const { element, label, waitedMs } = await acquireElement(run, target, options, ['attached', 'visible', 'stable']);
   element.scrollIntoView({ behavior: 'smooth', block: options.scrollAlignment });
-  await wait(options.preMoveDelayMs);
 
   const rect = element.getBoundingClientRect();
-  const targetX = rect.left + rect.width * options.targetXRatio;
-  const targetY = rect.top + rect.height * options.targetYRatio;
+  const offset = getFrameOffset(element);
+  const targetX = offset.x + rect.left + rect.width * options.targetXRatio;
+  const targetY = offset.y + rect.top + rect.height * options.targetYRatio;
+  await smoothPointerMove(run, targetX, targetY, pointerMotion(options));
+
+  ensureAttached(element, label, { stage: 'pointer-move' });
+  dispatchPointerEvent(element, 'pointerover', pointerState.x - offset.x, pointerState.y - offset.y, { pressure: 0 });
+  dispatchPointerEvent(element, 'pointerenter', pointerState.x - offset.x, pointerState.y - offset.y, { pressure: 0 });
+  run.progress.stage = 'hold';
+
+  const holdMs = Math.max(0, options.holdMs + (run.random() - 0.5) * 2 * options.holdVarianceMs);
+  let heldMs = 0;
+  while (heldMs < holdMs) {
+    const step = Math.min(Math.max(10, options.driftIntervalMs), holdMs - heldMs);
+    await run.wait(step);
+    heldMs += step;
+    ensureAttached(element, label, { stage: 'hold', heldMs: Math.round(heldMs) });
+    if (options.driftPx > 0) {
+      pointerState.x = targetX + (run.random() - 0.5) * 2 * options.driftPx;
+      pointerState.y = targetY + (run.random() - 0.5) * 2 * options.driftPx;
+      dispatchPointerEvent(element, 'pointermove', pointerState.x - offset.x, pointerState.y - offset.y, { pressure: 0 });
+    }
+  }
 
-  await smoothPointerMove(targetX, targetY, {
+  if (options.leave) {
+    dispatchPointerEvent(element, 'pointerout', pointerState.x - offset.x, pointerState.y - offset.y, { pressure: 0 });
+    dispatchPointerEvent(element, 'pointerleave', pointerState.x - offset.x, pointerState.y - offset.y, { pressure: 0 });
+  }
+
+  return { hovered: true, target: label, heldMs: Math.round(holdMs), left: Boolean(options.leave), waitedMs };
+}
+
+export function humanLikePressKeys(keys, profile = {}) {
+  return runAction('pressKeys', run => performPressKeys(run, keys, profile), profile);
+}
+
+async function performPressKeys(run, keys, profile) {
+  const options = { ...defaultKeysProfile, ...getPersonaProfile('typing'), ...profile };
+  const layout = getKeyboardLayout(options.keyboardLayout);
+  const chords = (Array.isArray(keys) ? keys : [keys]).map(chord => ({ chord: String(chord), ...parseKeyChord(chord, layout) }));
+  if (chords.length === 0) {
+    throw new TypeError('pressKeys needs at least one key chord');
+  }
+
+  let element = document.activeElement || document.body;
+  let label = describeTarget(element, element);
+  let waitedMs = 0;
+  if (options.target) {
+    ({ element, label, waitedMs } = await acquireElement(run, options.target, options, ['attached', 'visible', 'enabled']));
+    element.focus();
+  }
+
+  const base = { bubbles: true, cancelable: true };
+  run.progress.pressed = 0;
+
+  for (let index = 0; index < chords.length; index += 1) {
+    const { modifiers, key } = chords[index];
+    run.checkpoint();
+    if (index > 0) {
+      await run.wait(randomDelay(run, options.chordDelayMs, options.varianceMs));
+    }
+    ensureAttached(element, label, { pressed: index });
+
+    const flags = { ctrlKey: false, shiftKey: false, altKey: false, metaKey: false };
+    for (const modifier of modifiers) {
+      flags[modifier.flag] = true;
+      emit(element, new KeyboardEvent('keydown', { ...base, key: modifier.key, code: modifier.code, ...flags }));
+      await run.wait(randomDelay(run, options.keyDelayMs, options.varianceMs));
+    }
+
+    const keyFlags = {
+      ...flags,
+      shiftKey: flags.shiftKey || key.shift,
+      altKey: flags.altKey || key.altGraph,
+      ctrlKey: flags.ctrlKey || key.altGraph
+    };
+    emit(element, new KeyboardEvent('keydown', { ...base, key: key.key, code: key.code, ...keyFlags }));
+    await run.wait(randomDelay(run, options.keyDelayMs, options.varianceMs));
+    emit(element, new KeyboardEvent('keyup', { ...base, key: key.key, code: key.code, ...keyFlags }));
+
+    for (const modifier of [...modifiers].reverse()) {
+      flags[modifier.flag] = false;
+      emit(element, new KeyboardEvent('keyup', { ...base, key: modifier.key, code: modifier.code, ...flags }));
+    }
+    run.progress.pressed = index + 1;
+  }
+
+  return { pressed: chords.map(entry => entry.chord), target: label, waitedMs };
+}
+
+function pointerMotion(options) {
+  return {
     steps: options.pointerSteps,
     jitterPx: options.pointerJitterPx,
     durationMs: options.pointerDurationMs,
     varianceMs: options.pointerVarianceMs
-  });
+  };
+}
+
+function isPointSpec(spec) {
+  return Boolean(spec) && typeof spec === 'object' && !spec.nodeType
+    && Number.isFinite(spec.x) && Number.isFinite(spec.y);
+}
+
+function elementAtPoint(x, y) {
+  return document.elementFromPoint(x, y) || document.body;
+}
+
+async function resolvePoint(run, spec, options, checks) {
+  if (isPointSpec(spec)) {
+    return { x: spec.x, y: spec.y, element: elementAtPoint(spec.x, spec.y), label: `(${spec.x}, ${spec.y})`, waitedMs: 0 };
+  }
+
+  const { element, label, waitedMs } = await acquireElement(run, spec, options, checks);
+  const rect = element.getBoundingClientRect();
+  const offset = getFrameOffset(element);
+  return {
+    x: offset.x + rect.left + rect.width / 2,
+    y: offset.y + rect.top + rect.height / 2,
+    element,
+    label,
+    waitedMs
+  };
+}
 
-  dispatchPointerEvent(element, 'pointerover', pointerState.x, pointerState.y, { pressure: 0.05 });
-  await wait(options.hoverMs);
-  dispatchPointerEvent(element, 'pointerenter', pointerState.x, pointerState.y, { pressure: 0.08 });
-  await wait(options.hoverMs / 2);
+function createDataTransfer(data, files = []) {
+  let transfer;
+  try {
+    transfer = new DataTransfer();
+  } catch (_) {
+    // engines without a constructible DataTransfer get a minimal stand-in
+    transfer = createFallbackDataTransfer();
+  }
 
-  dispatchPointerEvent(element, 'pointerdown', pointerState.x, pointerState.y, { buttons: 1, pressure: 0.6 });
-  await wait(options.pressDurationMs);
-  dispatchPointerEvent(element, 'pointerup', pointerState.x, pointerState.y, { buttons: 0, pressure: 0 });
+  Object.entries(data || {}).forEach(([type, value]) => transfer.setData(type, value));
+  files.forEach(file => {
+    if (transfer.items && typeof transfer.items.add === 'function') {
+      transfer.items.add(file);
+    } else {
+      transfer.files.push(file);
+    }
+  });
+  return transfer;
+}
 
-  element.dispatchEvent(new MouseEvent('click', {
+function createFallbackDataTransfer() {
+  const store = new Map();
+  return {
+    dropEffect: 'none',
+    effectAllowed: 'all',
+    files: [],
+    get types() {
+      return Array.from(store.keys());
+    },
+    setData(type, value) {
+      store.set(type, String(value));
+    },
+    getData(type) {
+      return store.get(type) ?? '';
+    },
+    clearData(type) {
+      if (type) {
+        store.delete(type);
+      } else {
+        store.clear();
+      }
+    },
+    setDragImage() {}
+  };
+}
+
+function dispatchDragEvent(target, type, x, y, dataTransfer) {
+  const init = {
     bubbles: true,
-    cancelable: true,
-    clientX: pointerState.x,
-    clientY: pointerState.y,
+    cancelable: type !== 'dragleave' && type !== 'dragend',
     view: window,
-    detail: 1
-  }));
+    clientX: x,
+    clientY: y,
+    buttons: type === 'dragend' ? 0 : 1
+  };
 
-  await wait(options.releaseDelayMs);
-  return { clicked: true, target: selector };
+  let event;
+  try {
+    event = new DragEvent(type, { ...init, dataTransfer });
+  } catch (_) {
+    event = new MouseEvent(type, init);
+  }
+  if (event.dataTransfer !== dataTransfer) {
+    Object.defineProperty(event, 'dataTransfer', { value: dataTransfer });
+  }
+  return emit(target, event);
 }
 
-async function performSmoothScroll(distance, options) {
+async function performSmoothScroll(run, scroller, axis, distance, options) {
   const steps = Math.max(1, Math.floor(options.stepCount));
   const stepDelay = Math.max(8, options.stepDelayMs);
   const perStep = distance / steps;
+  const left = axis === 'x' ? perStep : 0;
+  const top = axis === 'y' ? perStep : 0;
+  let moved = 0;
+
+  if (options.inputMode === 'touch') {
+    const view = scroller.viewport();
+    const start = { x: (view.left + view.right) / 2 + left / 2, y: (view.top + view.bottom) / 2 + top / 2 };
+    const end = { x: start.x - left * steps, y: start.y - top * steps };
+    const swipe = { ...options, swipeSteps: steps, swipeDurationMs: steps * stepDelay };
+    await swipeGesture(run, elementAtPoint(start.x, start.y), start, end, swipe, (dx, dy, prevented) => {
+      if (prevented) {
+        return;
+      }
+      const before = scroller.position()[axis];
+      scrollByDelta(scroller.node, axis === 'x' ? -dx : 0, axis === 'y' ? -dy : 0);
+      recordScroll(scroller.node, axis === 'x' ? -dx : 0, axis === 'y' ? -dy : 0);
+      moved += Math.abs(scroller.position()[axis] - before);
+      run.progress.scrolledPx = Math.round((run.progress.scrolledPx || 0) + Math.abs(axis === 'x' ? dx : dy));
+    });
+    return moved;
+  }
 
   for (let i = 0; i < steps; i += 1) {
-    window.scrollBy({ top: perStep, left: 0, behavior: 'auto' });
-    await wait(stepDelay + Math.random() * 6);
+    const proceed = options.wheel ? dispatchWheel(scroller, left, top) : true;
+    if (proceed) {
+      const before = scroller.position()[axis];
+      scrollByDelta(scroller.node, left, top);
+      recordScroll(scroller.node, left, top);
+      moved += Math.abs(scroller.position()[axis] - before);
+      run.progress.scrolledPx = Math.round((run.progress.scrolledPx || 0) + Math.abs(perStep));
+    }
+    await run.wait(stepDelay + run.random() * 6);
   }
+
+  return moved;
+}
+
+export function humanLikeScroll(profile = {}) {
+  return runAction('scroll', run => performScroll(run, profile), profile);
 }
 
-export async function humanLikeScroll(profile = {}) {
-  const options = { ...defaultScrollProfile, ...profile };
+async function performScroll(run, profile) {
+  const options = {
+    ...defaultScrollProfile,
+    ...getPersonaProfile('scroll'),
+    ...profile,
+    inputMode: resolveInputMode(profile)
+  };
+  const direction = SCROLL_DIRECTIONS[options.direction];
+  if (!direction) {
+    throw new TypeError(`Unknown scroll direction "${options.direction}"`);
+  }
+
+  const { axis, sign } = direction;
+  let container = null;
+  let waitedMs = 0;
+  if (options.container) {
+    ({ element: container, waitedMs } = await acquireElement(run, options.container, options, ['attached', 'visible']));
+    const rect = container.getBoundingClientRect();
+    const offset = getFrameOffset(container);
+    if (options.inputMode === 'mouse') {
+      await smoothPointerMove(run, offset.x + rect.left + rect.width / 2, offset.y + rect.top + rect.height / 2, {});
+    }
+  }
+
+  const scroller = createScroller(container);
+  const mode = options.target ? 'target' : options.untilStable ? 'untilStable' : 'chunks';
+  const limit = mode === 'chunks' ? options.chunks : options.maxChunks;
+  const extentKey = axis === 'x' ? 'width' : 'height';
+  let extent = scroller.extent()[extentKey];
+  let reached = mode === 'chunks' ? null : false;
+  let stableRounds = 0;
   let total = 0;
-  const directionMultiplier = options.direction === 'up' ? -1 : 1;
+  let chunks = 0;
+  run.progress.scrolledPx = 0;
+
+  while (chunks < limit) {
+    run.checkpoint();
+    let delta = options.chunkPx * (0.7 + run.random() * 0.6) * sign;
 
-  for (let i = 0; i < options.chunks; i += 1) {
-    const magnitude = options.chunkPx * (0.7 + Math.random() * 0.6);
-    const delta = magnitude * directionMultiplier;
-    await performSmoothScroll(delta, options);
-    total += Math.abs(delta);
-    await wait(randomDelay(options.delayMs, options.varianceMs));
+    if (mode === 'target') {
+      const remaining = distanceIntoView(scroller, resolveTarget(options.target), axis);
+      if (remaining === 0) {
+        reached = true;
+        break;
+      }
+      if (remaining !== null) {
+        delta = Math.sign(remaining) * Math.min(Math.abs(delta), Math.abs(remaining));
+      }
+    }
+
+    const moved = await performSmoothScroll(run, scroller, axis, delta, options);
+    total += moved;
+    chunks += 1;
+    run.progress.chunks = chunks;
+    await run.wait(randomDelay(run, options.delayMs, options.varianceMs));
+
+    if (mode === 'untilStable') {
+      await run.wait(options.settleMs);
+      const nextExtent = scroller.extent()[extentKey];
+      if (nextExtent > extent) {
+        stableRounds = 0;
+      } else if (isAtEdge(scroller, axis, sign)) {
+        stableRounds += 1;
+      }
+      extent = nextExtent;
+      if (stableRounds >= options.stableRounds) {
+        reached = true;
+        break;
+      }
+    } else if (mode === 'target' && moved === 0 && isAtEdge(scroller, axis, Math.sign(delta))) {
+      break;
+    }
+  }
+
+  if (mode === 'target' && !reached) {
+    reached = distanceIntoView(scroller, resolveTarget(options.target), axis) === 0;
   }
 
-  return { scrolledPx: Math.round(total) };
+  const position = scroller.position();
+  const finalExtent = scroller.extent();
+  return {
+    mode,
+    scrolledPx: Math.round(total),
+    chunks,
+    reached,
+    atEdge: isAtEdge(scroller, axis, sign),
+    position: { x: Math.round(position.x), y: Math.round(position.y) },
+    extent: { width: finalExtent.width, height: finalExtent.height },
+    inputMode: options.inputMode,
+    waitedMs
+  };
 }
 
-export async function humanLikeMouseMove(profile = {}) {
-  const options = { ...defaultMouseProfile, ...profile };
+function createScroller(container) {
+  if (!container) {
+    const root = document.scrollingElement || document.documentElement;
+    return {
+      node: window,
+      position: () => ({ x: window.scrollX || 0, y: window.scrollY || 0 }),
+      extent: () => ({ width: root.scrollWidth, height: root.scrollHeight }),
+      viewport: () => ({ left: 0, top: 0, right: window.innerWidth, bottom: window.innerHeight }),
+      wheelTarget: () => elementAtPoint(pointerState.x, pointerState.y)
+    };
+  }
+
+  return {
+    node: container,
+    position: () => ({ x: container.scrollLeft, y: container.scrollTop }),
+    extent: () => ({ width: container.scrollWidth, height: container.scrollHeight }),
+    viewport: () => {
+      const rect = container.getBoundingClientRect();
+      return {
+        left: rect.left,
+        top: rect.top,
+        right: rect.left + (container.clientWidth || rect.width),
+        bottom: rect.top + (container.clientHeight || rect.height)
+      };
+    },
+    wheelTarget: () => {
+      const hit = elementAtPoint(pointerState.x, pointerState.y);
+      return container.contains(hit) ? hit : container;
+    }
+  };
+}
+
+function dispatchWheel(scroller, deltaX, deltaY) {
+  return emit(scroller.wheelTarget(), new WheelEvent('wheel', {
+    bubbles: true,
+    cancelable: true,
+    view: window,
+    deltaX,
+    deltaY,
+    deltaMode: 0,
+    clientX: pointerState.x,
+    clientY: pointerState.y
+  }));
+}
+
+function isAtEdge(scroller, axis, sign) {
+  const position = scroller.position()[axis];
+  if (sign < 0) {
+    return position <= 0;
+  }
+
+  const view = scroller.viewport();
+  const visible = axis === 'x' ? view.right - view.left : view.bottom - view.top;
+  const extent = scroller.extent()[axis === 'x' ? 'width' : 'height'];
+  return position + visible >= extent - 1;
+}
+
+function distanceIntoView(scroller, element, axis) {
+  if (!element) {
+    return null;
+  }
+
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 && rect.height === 0) {
+    return null;
+  }
+
+  const view = scroller.viewport();
+  const [start, end] = axis === 'x' ? ['left', 'right'] : ['top', 'bottom'];
+  const fits = rect[start] >= view[start] && rect[end] <= view[end];
+  const covers = rect[start] <= view[start] && rect[end] >= view[end];
+  if (fits || covers) {
+    return 0;
+  }
+
+  return (rect[start] + rect[end]) / 2 - (view[start] + view[end]) / 2;
+}
+
+export function humanLikeMouseMove(profile = {}) {
+  return runAction('mouseMove', run => performMouseMove(run, profile), profile);
+}
+
+async function performMouseMove(run, profile) {
+  const options = { ...defaultMouseProfile, ...getPersonaProfile('mouseMove'), ...profile };
   if (!options.enable) {
     return { moved: false };
   }
@@ -362,20 +1043,129 @@ export async function humanLikeMouseMove(profile = {}) {
 
   if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) {
     if (options.targetSelector) {
-      const target = document.querySelector(options.targetSelector);
+      const target = resolveTarget(options.targetSelector);
       if (target) {
         const rect = target.getBoundingClientRect();
-        targetX = rect.left + rect.width / 2;
-        targetY = rect.top + rect.height / 2;
+        const offset = getFrameOffset(target);
+        targetX = offset.x + rect.left + rect.width / 2;
+        targetY = offset.y + rect.top + rect.height / 2;
       }
     }
   }
 
   if (!Number.isFinite(targetX) || !Number.isFinite(targetY)) {
-    targetX = Math.random() * (window.innerWidth || document.documentElement.clientWidth || 1);
-    targetY = Math.random() * (window.innerHeight || document.documentElement.clientHeight || 1);
+    targetX = run.random() * (window.innerWidth || document.documentElement.clientWidth || 1);
+    targetY = run.random() * (window.innerHeight || document.documentElement.clientHeight || 1);
   }
 
-  await smoothPointerMove(targetX, targetY, options);
+  await smoothPointerMove(run, targetX, targetY, options);
   return { moved: true, targetX: pointerState.x, targetY: pointerState.y };
 }
+
+const TEXT_INPUT_TYPES = ['insertText', 'insertCompositionText'];
+const REPLAY_PLACEHOLDER = '*';
+const REPLAYABLE_EVENT_CLASSES = ['PointerEvent', 'DragEvent', 'MouseEvent', 'KeyboardEvent', 'InputEvent', 'FocusEvent', 'WheelEvent', 'TouchEvent', 'Event'];
+
+export function replayJournal(journal, options = {}) {
+  return runAction('replay', run => performReplay(run, journal, options), options);
+}
+
+async function performReplay(run, journal, options) {
+  const source = typeof journal === 'string' ? JSON.parse(journal) : journal;
+  if (!source || !Array.isArray(source.entries)) {
+    throw new TypeError('Journal must contain an entries array');
+  }
+
+  const speed = options.speed > 0 ? options.speed : 1;
+  const respectTiming = options.respectTiming !== false;
+  const secrets = new Map(Object.entries(options.secrets || {}).map(([descriptor, value]) => [descriptor, Array.from(String(value))]));
+  const secretCharacter = (descriptor, consume) => {
+    const characters = secrets.get(descriptor);
+    if (!characters || characters.length === 0) {
+      return REPLAY_PLACEHOLDER;
+    }
+    return consume ? characters.shift() : characters[0];
+  };
+  const skipped = [];
+  let replayed = 0;
+  let lastTime = 0;
+  run.progress.replayed = 0;
+
+  for (let index = 0; index < source.entries.length; index += 1) {
+    const entry = source.entries[index];
+    if (entry.kind === 'action') {
+      continue;
+    }
+
+    if (respectTiming) {
+      await run.wait(Math.max(0, (entry.t - lastTime) / speed));
+    } else {
+      run.checkpoint();
+    }
+    lastTime = entry.t;
+
+    const target = resolveJournalTarget(entry.target);
+    if (!target) {
+      skipped.push({ index, target: entry.target, reason: 'target_not_found' });
+      continue;
+    }
+
+    if (entry.kind === 'scroll') {
+      scrollByDelta(target, entry.left, entry.top);
+      recordScroll(target, entry.left, entry.top);
+    } else {
+      replayEvent(target, entry, secretCharacter);
+    }
+
+    replayed += 1;
+    run.progress.replayed = replayed;
+  }
+
+  return { replayed, skipped, total: source.entries.length };
+}
+
+function resolveJournalTarget(descriptor) {
+  if (descriptor === 'window') {
+    return window;
+  }
+  if (descriptor === 'document') {
+    return document;
+  }
+  return descriptor && descriptor !== 'unknown' ? deepQuerySelector(descriptor) : null;
+}
+
+function replayEvent(target, entry, secretCharacter) {
+  const eventClass = REPLAYABLE_EVENT_CLASSES.includes(entry.eventClass) && typeof window[entry.eventClass] === 'function'
+    ? window[entry.eventClass]
+    : Event;
+  const { kind, t, type, eventClass: _, target: __, redacted, ...fields } = entry;
+  if (redacted) {
+    fields.key = fields.key === undefined ? undefined : 'Unidentified';
+    fields.code = fields.code === undefined ? undefined : '';
+    if (fields.data !== undefined) {
+      fields.data = entry.inputType === 'insertLineBreak' ? '\n' : secretCharacter(entry.target, type === 'input');
+    }
+  }
+  const event = entry.eventClass === 'TouchEvent'
+    ? createTouchEvent(type, target.nodeType === 1 ? target : document.documentElement, {
+      touches: (entry.touches || []).map(touch => ({ ...touch, target })),
+      changedTouches: (entry.changedTouches || []).map(touch => ({ ...touch, target }))
+    })
+    : new eventClass(type, { bubbles: true, cancelable: true, view: window, ...fields });
+
+  if (type === 'focus' && typeof target.focus === 'function') {
+    target.focus();
+  }
+
+  const notCancelled = emit(target, event);
+
+  if (type === 'beforeinput' && entry.inputType === 'deleteByCommand' && notCancelled) {
+    clearValue(target);
+  } else if (type === 'input' && entry.inputType === 'insertLineBreak') {
+    insertText(target, '\n');
+  } else if (type === 'input' && TEXT_INPUT_TYPES.includes(entry.inputType) && fields.data) {
+    insertText(target, fields.data);
+  } else if (type === 'input' && entry.inputType === 'deleteContentBackward') {
+    deleteBackward(target);
+  }
+}
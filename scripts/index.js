@@ -1,9 +1,61 @@
 export { detectLoginWall } from './detectLoginWall.js';
 export { detectCaptcha } from './detectCaptcha.js';
 export { detectConsent } from './detectConsent.js';
+export { detectAccessBlock } from './detectAccessBlock.js';
+export { detectSitePolicy } from './detectSitePolicy.js';
+export { classifyPageState } from './classifyPageState.js';
+export { resolveConsent } from './resolveConsent.js';
+export { waitForPageReady, waitForSelector, waitForDetector } from './waitForPageReady.js';
+export { watchPageState } from './watchPageState.js';
+export { captureDomSnapshot, SENSITIVE_TEXT_PATTERNS } from './domSnapshot.js';
+export {
+  abortActiveActions,
+  getActiveActions,
+  getPauseState,
+  pauseActions,
+  resumeActions
+} from './utils/actionRunner.js';
+export {
+  registerDetector,
+  registerDetectors,
+  unregisterDetector,
+  getDetector,
+  listDetectors,
+  resetDetectors,
+  runDetector
+} from './detectorRegistry.js';
+export { registerKeywordPack, listKeywordLocales, resolveLocales } from './keywordPacks.js';
+export { listKeyboardLayouts } from './keyboardLayouts.js';
+export { loadPersona, getActivePersona, clearActivePersona } from './persona.js';
+export { createScanContext } from './utils/scanContext.js';
+export { deepQuerySelector, deepQuerySelectorAll, formatElementPath } from './utils/dom.js';
+export { describeLocator, isLocator, locateAll, resolveLocator } from './utils/locators.js';
 export {
   humanLikeType,
   humanLikeClick,
   humanLikeScroll,
-  humanLikeMouseMove
+  humanLikeMouseMove,
+  humanLikeDrag,
+  humanLikeHover,
+  humanLikePressKeys,
+  startJournal,
+  stopJournal,
+  getJournal,
+  exportJournal,
+  replayJournal
 } from './humanLikeActions.js';
+export { humanLikeSelect, humanLikeCheck, humanLikeUncheck, humanLikeChooseOption } from './controlActions.js';
+export { humanLikeFillForm } from './formActions.js';
+export { humanLikeTap, humanLikeLongPress, humanLikeSwipe, humanLikePinch } from './touchActions.js';
+export {
+  ActionError,
+  ElementNotFoundError,
+  ElementNotVisibleError,
+  ElementNotInteractableError,
+  ElementObscuredError,
+  ElementDetachedError,
+  AmbiguousTargetError,
+  ActionTimeoutError,
+  ActionAbortedError,
+  toCommandError
+} from './errors.js';
@@ -0,0 +1,212 @@
+const LETTER_CODES = 'abcdefghijklmnopqrstuvwxyz'.split('').map(letter => [`Key${letter.toUpperCase()}`, letter]);
+const DIGIT_CODES = '1234567890'.split('').map(digit => `Digit${digit}`);
+
+const US_ROWS = {
+  Backquote: ['`', '~'],
+  Minus: ['-', '_'],
+  Equal: ['=', '+'],
+  BracketLeft: ['[', '{'],
+  BracketRight: [']', '}'],
+  Backslash: ['\\', '|'],
+  Semicolon: [';', ':'],
+  Quote: ['\'', '"'],
+  Comma: [',', '<'],
+  Period: ['.', '>'],
+  Slash: ['/', '?']
+};
+const US_DIGIT_SHIFT = '!@#$%^&*()';
+
+const DE_ROWS = {
+  Minus: ['ß', '?'],
+  BracketLeft: ['ü', 'Ü'],
+  BracketRight: ['+', '*'],
+  Backslash: ['#', '\''],
+  Semicolon: ['ö', 'Ö'],
+  Quote: ['ä', 'Ä'],
+  Comma: [',', ';'],
+  Period: ['.', ':'],
+  Slash: ['-', '_'],
+  IntlBackslash: ['<', '>']
+};
+const DE_DIGIT_SHIFT = '!"§$%&/()=';
+const DE_ALT_GRAPH = {
+  KeyQ: '@',
+  KeyE: '€',
+  KeyM: 'µ',
+  Digit2: '²',
+  Digit3: '³',
+  Digit7: '{',
+  Digit8: '[',
+  Digit9: ']',
+  Digit0: '}',
+  Minus: '\\',
+  BracketRight: '~',
+  IntlBackslash: '|'
+};
+const DE_DEAD_KEYS = [
+  { accent: '^', code: 'Backquote', shift: false, vowels: { a: 'â', e: 'ê', i: 'î', o: 'ô', u: 'û' } },
+  { accent: '´', code: 'Equal', shift: false, vowels: { a: 'á', e: 'é', i: 'í', o: 'ó', u: 'ú', y: 'ý' } },
+  { accent: '`', code: 'Equal', shift: true, vowels: { a: 'à', e: 'è', i: 'ì', o: 'ò', u: 'ù' } }
+];
+
+const NAMED_KEYS = {
+  Enter: 'Enter',
+  Escape: 'Escape',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  ArrowUp: 'ArrowUp',
+  ArrowDown: 'ArrowDown',
+  ArrowLeft: 'ArrowLeft',
+  ArrowRight: 'ArrowRight',
+  ContextMenu: 'ContextMenu'
+};
+const MODIFIERS = {
+  Control: { key: 'Control', code: 'ControlLeft', flag: 'ctrlKey' },
+  Shift: { key: 'Shift', code: 'ShiftLeft', flag: 'shiftKey' },
+  Alt: { key: 'Alt', code: 'AltLeft', flag: 'altKey' },
+  Meta: { key: 'Meta', code: 'MetaLeft', flag: 'metaKey' }
+};
+const KEY_ALIASES = {
+  ctrl: 'Control',
+  control: 'Control',
+  shift: 'Shift',
+  alt: 'Alt',
+  option: 'Alt',
+  meta: 'Meta',
+  cmd: 'Meta',
+  command: 'Meta',
+  esc: 'Escape',
+  return: 'Enter',
+  del: 'Delete',
+  space: ' ',
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight'
+};
+
+const layouts = new Map([
+  ['us', buildUsLayout()],
+  ['de', buildGermanLayout()]
+]);
+
+export function getKeyboardLayout(name = 'us') {
+  const layout = layouts.get(String(name).toLowerCase());
+  if (!layout) {
+    throw new RangeError(`Unknown keyboard layout "${name}"`);
+  }
+  return layout;
+}
+
+export function listKeyboardLayouts() {
+  return Array.from(layouts.keys());
+}
+
+export function resolveKeystroke(layout, char) {
+  return layout.keys.get(char) || null;
+}
+
+export function parseKeyChord(chord, layout) {
+  const parts = String(chord).split(/\+(?!$)/).map(part => part.trim() || '+');
+  const keyName = parts.pop();
+  const modifiers = parts.map(part => {
+    const name = KEY_ALIASES[part.toLowerCase()] || part;
+    if (!MODIFIERS[name]) {
+      throw new RangeError(`Unknown modifier "${part}" in key chord "${chord}"`);
+    }
+    return MODIFIERS[name];
+  });
+
+  return { modifiers, key: resolveChordKey(keyName, layout, chord) };
+}
+
+function resolveChordKey(keyName, layout, chord) {
+  const name = KEY_ALIASES[keyName.toLowerCase()] || keyName;
+  if (MODIFIERS[name]) {
+    return { key: MODIFIERS[name].key, code: MODIFIERS[name].code, shift: false, altGraph: false };
+  }
+  if (NAMED_KEYS[name]) {
+    return { key: name, code: NAMED_KEYS[name], shift: false, altGraph: false };
+  }
+  if (/^F([1-9]|1[0-9]|2[0-4])$/.test(name)) {
+    return { key: name, code: name, shift: false, altGraph: false };
+  }
+
+  const stroke = [...name].length === 1 ? resolveKeystroke(layout, name) : null;
+  if (!stroke || stroke.dead) {
+    throw new RangeError(`Unknown key "${keyName}" in key chord "${chord}"`);
+  }
+  return { key: stroke.key || name, code: stroke.code, shift: stroke.shift, altGraph: stroke.altGraph };
+}
+
+function buildUsLayout() {
+  const keys = new Map();
+  addLetters(keys, LETTER_CODES);
+  addDigits(keys, US_DIGIT_SHIFT);
+  addRows(keys, US_ROWS);
+  addSpecials(keys);
+  return { name: 'us', keys };
+}
+
+function buildGermanLayout() {
+  const keys = new Map();
+  const qwertzLetters = LETTER_CODES.map(([code, letter]) => {
+    if (letter === 'y') {
+      return [code, 'z'];
+    }
+    if (letter === 'z') {
+      return [code, 'y'];
+    }
+    return [code, letter];
+  });
+  addLetters(keys, qwertzLetters);
+  addDigits(keys, DE_DIGIT_SHIFT);
+  addRows(keys, DE_ROWS);
+  keys.set('°', { code: 'Backquote', shift: true, altGraph: false, dead: null });
+  Object.entries(DE_ALT_GRAPH).forEach(([code, char]) => {
+    keys.set(char, { code, shift: false, altGraph: true, dead: null });
+  });
+  DE_DEAD_KEYS.forEach(({ accent, code, shift, vowels }) => {
+    Object.entries(vowels).forEach(([vowel, composed]) => {
+      const base = keys.get(vowel);
+      const dead = { code, shift, accent };
+      keys.set(composed, { ...base, dead });
+      keys.set(composed.toUpperCase(), { ...keys.get(vowel.toUpperCase()), dead });
+    });
+  });
+  addSpecials(keys);
+  return { name: 'de', keys };
+}
+
+function addLetters(keys, letterCodes) {
+  letterCodes.forEach(([code, letter]) => {
+    keys.set(letter, { code, shift: false, altGraph: false, dead: null });
+    keys.set(letter.toUpperCase(), { code, shift: true, altGraph: false, dead: null });
+  });
+}
+
+function addDigits(keys, shiftedSymbols) {
+  DIGIT_CODES.forEach((code, index) => {
+    keys.set(code.slice(-1), { code, shift: false, altGraph: false, dead: null });
+    keys.set(shiftedSymbols[index], { code, shift: true, altGraph: false, dead: null });
+  });
+}
+
+function addRows(keys, rows) {
+  Object.entries(rows).forEach(([code, [plain, shifted]]) => {
+    keys.set(plain, { code, shift: false, altGraph: false, dead: null });
+    keys.set(shifted, { code, shift: true, altGraph: false, dead: null });
+  });
+}
+
+function addSpecials(keys) {
+  keys.set(' ', { code: 'Space', shift: false, altGraph: false, dead: null });
+  keys.set('\n', { code: 'Enter', key: 'Enter', shift: false, altGraph: false, dead: null });
+  keys.set('\t', { code: 'Tab', key: 'Tab', shift: false, altGraph: false, dead: null });
+}
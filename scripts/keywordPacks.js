@@ -0,0 +1,154 @@
+const FALLBACK_LOCALE = 'en';
+
+const packs = new Map([
+  ['en', {
+    loginAction: [/sign\s?in/i, /log\s?in/i, /welcome\sback/i, /continue/i],
+    captchaPrompt: [/captcha/i, /robot/i, /select all images/i, /verify you/i, /security check/i],
+    consentAction: [/accept/i, /agree/i, /allow/i, /preferences/i, /manage/i],
+    consentExplanation: [/we use cookies/i, /privacy/i, /consent/i, /personalise/i],
+    consentReject: [/reject/i, /decline/i, /refuse/i, /deny/i, /do not (accept|agree)/i],
+    consentNecessary: [/(only|strictly) (necessary|essential|required)/i, /(necessary|essential|required)( cookies)? only/i],
+    consentManage: [/manage/i, /preferences/i, /settings/i, /customi[sz]e/i, /options/i],
+    consentSave: [/save/i, /confirm/i, /submit/i],
+    consentAccept: [/accept/i, /agree/i, /allow all/i, /got it/i],
+    rateLimit: [/too many requests/i, /rate[\s-]?limit(ed)?/i, /request limit/i, /slow down/i],
+    accessDenied: [/access (is )?denied/i, /forbidden/i, /you (have been|are) blocked/i, /(access|request) (has been )?blocked/i, /not authori[sz]ed to access/i],
+    accessBlockExplanation: [/try again (later|in)/i, /unusual traffic/i, /temporarily (blocked|restricted)/i, /your ip( address)? (has been|is) (blocked|banned|restricted)/i, /retry[\s-]after/i, /please wait/i, /ray id/i, /reference (id|#|number)/i],
+    ageVerification: [/are you (over|at least) \d{2}/i, /(verify|confirm) (your )?age/i, /age verification/i, /you must be (over |at least )?\d{2}/i, /date of birth/i, /of legal (drinking )?age/i],
+    termsAcceptance: [/(accept|agree to) (the|our) (terms|conditions)/i, /terms (of (service|use)|and conditions)/i, /by (continuing|clicking)[^.]* you agree/i]
+  }],
+  ['de', {
+    loginAction: [/anmelden/i, /einloggen/i, /willkommen zurück/i, /weiter zur anmeldung/i],
+    captchaPrompt: [/kein roboter/i, /sicherheitsüberprüfung/i, /bestätigen sie, dass sie/i, /wählen sie alle bilder/i],
+    consentAction: [/akzeptieren/i, /zustimmen/i, /einverstanden/i, /erlauben/i, /einstellungen/i, /verwalten/i],
+    consentExplanation: [/wir (verwenden|nutzen) cookies/i, /datenschutz/i, /einwilligung/i, /personalisier/i],
+    consentReject: [/ablehnen/i, /nicht zustimmen/i, /verweigern/i],
+    consentNecessary: [/nur (notwendige|erforderliche|essenzielle|technisch notwendige)/i, /(notwendige|erforderliche) (cookies )?(zulassen|akzeptieren)/i],
+    consentManage: [/einstellungen/i, /verwalten/i, /anpassen/i, /optionen/i],
+    consentSave: [/speichern/i, /übernehmen/i, /bestätigen/i],
+    consentAccept: [/akzeptieren/i, /zustimmen/i, /einverstanden/i, /alle erlauben/i],
+    rateLimit: [/zu viele anfragen/i, /anfragelimit/i],
+    accessDenied: [/zugriff verweigert/i, /zugang gesperrt/i, /sie wurden (vorübergehend )?gesperrt/i],
+    accessBlockExplanation: [/versuchen sie es (später|in)/i, /ungewöhnliche[nr]? (datenverkehr|aktivität)/i, /vorübergehend gesperrt/i, /bitte warten/i],
+    ageVerification: [/sind sie (über|mindestens) \d{2}/i, /alter (bestätigen|verifizieren)/i, /alters(verifikation|prüfung|bestätigung)/i, /geburtsdatum/i, /volljährig/i],
+    termsAcceptance: [/(agb|nutzungsbedingungen) (akzeptieren|zustimmen)/i, /allgemeine geschäftsbedingungen/i, /nutzungsbedingungen/i]
+  }],
+  ['fr', {
+    loginAction: [/se connecter/i, /connexion/i, /identifiez-vous/i, /bon retour/i, /continuer/i],
+    captchaPrompt: [/pas un robot/i, /vérification de sécurité/i, /vérifiez que vous/i, /sélectionnez toutes les images/i],
+    consentAction: [/accepter/i, /j['’]accepte/i, /autoriser/i, /préférences/i, /gérer/i, /paramétrer/i],
+    consentExplanation: [/(nous utilisons|utilise) des cookies/i, /confidentialité/i, /consentement/i, /vie privée/i],
+    consentReject: [/refuser/i, /continuer sans accepter/i],
+    consentNecessary: [/(uniquement|seulement) (les )?(cookies )?(nécessaires|essentiels|indispensables)/i, /(nécessaires|essentiels) uniquement/i],
+    consentManage: [/paramétrer/i, /personnaliser/i, /gérer/i, /préférences/i, /paramètres/i],
+    consentSave: [/enregistrer/i, /valider/i, /confirmer/i],
+    consentAccept: [/accepter/i, /j['’]accepte/i, /tout autoriser/i],
+    rateLimit: [/trop de requêtes/i, /limite de requêtes/i],
+    accessDenied: [/accès refusé/i, /accès interdit/i, /vous avez été bloqué/i],
+    accessBlockExplanation: [/réessayez (plus tard|dans)/i, /trafic inhabituel/i, /temporairement bloqué/i, /veuillez patienter/i],
+    ageVerification: [/avez-vous (plus de )?\d{2} ans/i, /vérification de l['’]âge/i, /confirmez votre âge/i, /date de naissance/i, /majeur/i],
+    termsAcceptance: [/conditions (générales )?d['’]utilisation/i, /accepte[rz]? les conditions/i]
+  }],
+  ['es', {
+    loginAction: [/iniciar sesión/i, /inicia sesión/i, /acceder/i, /bienvenid[oa] de nuevo/i, /continuar/i],
+    captchaPrompt: [/no soy un robot/i, /verificación de seguridad/i, /verifica que/i, /selecciona todas las imágenes/i],
+    consentAction: [/aceptar/i, /acepto/i, /permitir/i, /preferencias/i, /configurar/i, /gestionar/i],
+    consentExplanation: [/(utilizamos|usamos) cookies/i, /privacidad/i, /consentimiento/i, /personaliza/i],
+    consentReject: [/rechazar/i, /denegar/i],
+    consentNecessary: [/solo (las )?(cookies )?(necesarias|esenciales)/i, /(necesarias|esenciales) solamente/i],
+    consentManage: [/configurar/i, /personalizar/i, /gestionar/i, /preferencias/i, /ajustes/i],
+    consentSave: [/guardar/i, /confirmar/i],
+    consentAccept: [/aceptar/i, /acepto/i, /permitir todo/i],
+    rateLimit: [/demasiadas (solicitudes|peticiones)/i, /límite de solicitudes/i],
+    accessDenied: [/acceso denegado/i, /acceso prohibido/i, /has sido bloquead[oa]/i],
+    accessBlockExplanation: [/inténtalo (de nuevo )?más tarde/i, /vuelve a intentarlo/i, /tráfico inusual/i, /bloquead[oa] temporalmente/i],
+    ageVerification: [/(eres|es) mayor de (edad|\d{2})/i, /verificación de edad/i, /confirma tu edad/i, /fecha de nacimiento/i],
+    termsAcceptance: [/términos (y condiciones|de (uso|servicio))/i, /acepta[r]? los términos/i]
+  }],
+  ['nl', {
+    loginAction: [/inloggen/i, /aanmelden/i, /welkom terug/i, /doorgaan/i],
+    captchaPrompt: [/geen robot/i, /beveiligingscontrole/i, /controleer of/i, /selecteer alle afbeeldingen/i],
+    consentAction: [/accepteren/i, /akkoord/i, /toestaan/i, /voorkeuren/i, /beheren/i, /instellingen/i],
+    consentExplanation: [/(wij|we) gebruiken cookies/i, /privacy/i, /toestemming/i, /personaliseren/i],
+    consentReject: [/weigeren/i, /afwijzen/i],
+    consentNecessary: [/alleen (noodzakelijke|functionele|essentiële)/i],
+    consentManage: [/instellingen/i, /voorkeuren/i, /aanpassen/i, /beheren/i],
+    consentSave: [/opslaan/i, /bevestigen/i],
+    consentAccept: [/accepteren/i, /akkoord/i, /alles toestaan/i],
+    rateLimit: [/te veel (verzoeken|aanvragen)/i],
+    accessDenied: [/toegang geweigerd/i, /(je|u) bent geblokkeerd/i],
+    accessBlockExplanation: [/probeer het (later|over)/i, /ongebruikelijk verkeer/i, /tijdelijk geblokkeerd/i],
+    ageVerification: [/ben je (ouder dan|minimaal) \d{2}/i, /leeftijdsverificatie/i, /bevestig je leeftijd/i, /geboortedatum/i],
+    termsAcceptance: [/algemene voorwaarden/i, /gebruiksvoorwaarden/i]
+  }],
+  ['it', {
+    loginAction: [/accedi/i, /accesso/i, /bentornat[oa]/i, /continua/i],
+    captchaPrompt: [/non sono un robot/i, /controllo di sicurezza/i, /verifica di essere/i, /seleziona tutte le immagini/i],
+    consentAction: [/accetta/i, /accetto/i, /consenti/i, /preferenze/i, /gestisci/i],
+    consentExplanation: [/(utilizziamo|usiamo) i cookie/i, /privacy/i, /consenso/i, /personalizza/i],
+    consentReject: [/rifiuta/i, /nega/i],
+    consentNecessary: [/solo (i )?(cookie )?(necessari|essenziali|tecnici)/i],
+    consentManage: [/personalizza/i, /gestisci/i, /preferenze/i, /impostazioni/i],
+    consentSave: [/salva/i, /conferma/i],
+    consentAccept: [/accetta/i, /accetto/i, /consenti tutto/i],
+    rateLimit: [/troppe richieste/i, /limite di richieste/i],
+    accessDenied: [/accesso negato/i, /accesso vietato/i, /sei stato bloccat[oa]/i],
+    accessBlockExplanation: [/riprova (più tardi|tra)/i, /traffico insolito/i, /bloccat[oa] temporaneamente/i],
+    ageVerification: [/hai (almeno|più di) \d{2} anni/i, /verifica dell['’]età/i, /conferma la tua età/i, /data di nascita/i, /maggiorenne/i],
+    termsAcceptance: [/termini (e condizioni|di (uso|servizio))/i, /accett[ao] i termini/i]
+  }]
+]);
+
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string') {
+    return null;
+  }
+
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+  return language || null;
+}
+
+export function resolveLocales(preferred) {
+  const requested = (Array.isArray(preferred) ? preferred : [preferred ?? document.documentElement?.lang])
+    .map(normalizeLocale)
+    .filter(Boolean);
+
+  if (requested.length === 0) {
+    return Array.from(packs.keys());
+  }
+
+  const locales = requested.filter(locale => packs.has(locale));
+  if (locales.length === 0) {
+    return Array.from(packs.keys());
+  }
+  if (!locales.includes(FALLBACK_LOCALE)) {
+    locales.push(FALLBACK_LOCALE);
+  }
+  return Array.from(new Set(locales));
+}
+
+export function getKeywordPatterns(locale, group) {
+  return packs.get(locale)?.[group] || [];
+}
+
+export function registerKeywordPack(locale, groups) {
+  const key = normalizeLocale(locale);
+  if (!key || !groups || typeof groups !== 'object') {
+    throw new TypeError('Keyword pack requires a locale and a map of keyword groups');
+  }
+
+  const existing = packs.get(key) || {};
+  const merged = { ...existing };
+  Object.entries(groups).forEach(([group, patterns]) => {
+    if (!Array.isArray(patterns)) {
+      throw new TypeError(`Keyword group "${group}" for locale "${key}" must be an array`);
+    }
+    merged[group] = patterns.map(pattern => (pattern instanceof RegExp ? pattern : new RegExp(String(pattern), 'i')));
+  });
+  packs.set(key, merged);
+  return key;
+}
+
+export function listKeywordLocales() {
+  return Array.from(packs.keys());
+}
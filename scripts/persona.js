@@ -0,0 +1,230 @@
+import { listKeyboardLayouts } from './keyboardLayouts.js';
+
+const DIRECTIONS = ['down', 'up', 'left', 'right'];
+const INPUT_MODES = ['mouse', 'touch'];
+const PERSONA_FIELDS = ['personaId', 'displayName', 'humanLike'];
+const ORCHESTRATOR_TRAITS = [
+  'requireIntervention',
+  'requiresIntervention',
+  'alwaysRequireIntervention',
+  'manualReview',
+  'manual_review',
+  'forceIntervention',
+  'interventionDomains',
+  'interventionPaths',
+  'interventionKeywords',
+  'interventionRules'
+];
+
+const delay = (max = 60000) => ({ type: 'number', min: 0, max });
+
+const PERSONA_SCHEMA = {
+  typing: {
+    clearFirst: { type: 'boolean' },
+    charDelayMs: delay(5000),
+    varianceMs: delay(5000),
+    maxDelayMs: delay(),
+    errorRate: { type: 'number', min: 0, max: 1 },
+    correctionDelayMs: delay(5000),
+    breathEvery: { type: 'number', min: 0, max: 1000 },
+    breathDelayMs: delay(),
+    keyboardLayout: { type: 'string', values: () => listKeyboardLayouts() }
+  },
+  click: {
+    preMoveDelayMs: delay(),
+    hoverMs: delay(),
+    pressDurationMs: delay(5000),
+    releaseDelayMs: delay(5000),
+    pointerSteps: { type: 'number', min: 2, max: 200 },
+    pointerJitterPx: { type: 'number', min: 0, max: 100 },
+    pointerDurationMs: delay(10000),
+    pointerVarianceMs: delay(10000)
+  },
+  scroll: {
+    directionDefault: { type: 'string', values: () => DIRECTIONS, key: 'direction' },
+    chunkPx: { type: 'number', min: 1, max: 10000 },
+    chunks: { type: 'number', min: 1, max: 100 },
+    delayMs: delay(),
+    varianceMs: delay(),
+    stepCount: { type: 'number', min: 1, max: 100 }
+  },
+  mouseMove: {
+    enable: { type: 'boolean' },
+    hoverMs: { ...delay(), profile: 'hover', key: 'holdMs' },
+    steps: { type: 'number', min: 2, max: 200 },
+    jitterPx: { type: 'number', min: 0, max: 100 },
+    durationMs: delay(10000),
+    varianceMs: delay(10000)
+  },
+  touch: {
+    inputMode: { type: 'string', values: () => INPUT_MODES },
+    tapDurationMs: delay(5000),
+    longPressMs: delay(10000),
+    swipeDurationMs: delay(10000),
+    contactRadiusPx: { type: 'number', min: 1, max: 60 }
+  }
+};
+
+let activePersona = null;
+
+export function loadPersona(personaData, options = {}) {
+  const data = typeof personaData === 'string' ? JSON.parse(personaData) : personaData;
+  if (!isPlainObject(data)) {
+    throw new TypeError('Persona data must be an object or a JSON string');
+  }
+
+  const issues = [];
+  const persona = normalizeKeys(data);
+  Object.keys(persona)
+    .filter(key => !PERSONA_FIELDS.includes(key))
+    .forEach(key => issues.push({ path: key, problem: 'unknown_field', value: persona[key] }));
+
+  const profiles = {};
+  const humanLike = persona.humanLike === undefined ? {} : persona.humanLike;
+  if (isPlainObject(humanLike)) {
+    applySections(profiles, normalizeKeys(humanLike), 'humanLike', issues);
+  } else {
+    issues.push({ path: 'humanLike', problem: 'invalid_type', value: humanLike, expected: 'object' });
+  }
+
+  const ignoredTraits = [];
+  if (options.overlay) {
+    applyOverlay(profiles, persona, normalizeKeys(options.overlay), issues, ignoredTraits);
+  }
+
+  const loaded = {
+    personaId: String(persona.personaId || ''),
+    displayName: String(persona.displayName || ''),
+    profiles
+  };
+  if (options.activate !== false) {
+    activePersona = loaded;
+  }
+
+  return {
+    ok: issues.length === 0,
+    ...loaded,
+    active: options.activate !== false,
+    issues,
+    ignoredTraits
+  };
+}
+
+export function getActivePersona() {
+  return activePersona;
+}
+
+export function clearActivePersona() {
+  activePersona = null;
+}
+
+export function getPersonaProfile(kind) {
+  return activePersona && activePersona.profiles[kind] ? { ...activePersona.profiles[kind] } : {};
+}
+
+function applySections(profiles, sections, basePath, issues) {
+  Object.entries(sections).forEach(([section, values]) => {
+    const path = `${basePath}.${section}`;
+    if (!PERSONA_SCHEMA[section]) {
+      issues.push({ path, problem: 'unknown_field', value: values });
+      return;
+    }
+    if (!isPlainObject(values)) {
+      issues.push({ path, problem: 'invalid_type', value: values, expected: 'object' });
+      return;
+    }
+
+    Object.entries(normalizeKeys(values)).forEach(([field, value]) => {
+      applyField(profiles, section, field, value, `${path}.${field}`, issues);
+    });
+  });
+}
+
+function applyField(profiles, section, field, value, path, issues) {
+  const rule = PERSONA_SCHEMA[section][field];
+  if (!rule) {
+    issues.push({ path, problem: 'unknown_field', value });
+    return;
+  }
+
+  const checked = validateValue(rule, value);
+  if (checked.problem === 'out_of_range') {
+    issues.push({ path, problem: checked.problem, value, expected: checked.expected, appliedValue: checked.value });
+  } else if (checked.problem) {
+    issues.push({ path, problem: checked.problem, value, expected: checked.expected });
+    return;
+  }
+
+  const profile = rule.profile || section;
+  profiles[profile] = { ...profiles[profile], [rule.key || field]: checked.value };
+}
+
+function validateValue(rule, value) {
+  if (rule.type === 'boolean') {
+    return typeof value === 'boolean' ? { value } : { problem: 'invalid_type', expected: 'boolean' };
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string') {
+      return { problem: 'invalid_type', expected: 'string' };
+    }
+    const allowed = rule.values();
+    const normalized = value.trim().toLowerCase();
+    return allowed.includes(normalized) ? { value: normalized } : { problem: 'invalid_value', expected: allowed };
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return { problem: 'invalid_type', expected: 'number' };
+  }
+  if (value < rule.min || value > rule.max) {
+    return {
+      problem: 'out_of_range',
+      expected: `${rule.min}..${rule.max}`,
+      value: Math.min(rule.max, Math.max(rule.min, value))
+    };
+  }
+  return { value };
+}
+
+function applyOverlay(profiles, persona, overlay, issues, ignoredTraits) {
+  const overlayId = String(overlay.personaId || '');
+  if (overlayId && persona.personaId && overlayId !== String(persona.personaId)) {
+    issues.push({ path: 'overlay.personaId', problem: 'persona_mismatch', value: overlayId, expected: persona.personaId });
+  }
+
+  const traits = overlay.traits === undefined ? {} : overlay.traits;
+  if (!isPlainObject(traits)) {
+    issues.push({ path: 'overlay.traits', problem: 'invalid_type', value: traits, expected: 'object' });
+    return;
+  }
+
+  Object.entries(traits).forEach(([trait, value]) => {
+    const path = `overlay.traits.${trait}`;
+    if (ORCHESTRATOR_TRAITS.includes(trait)) {
+      ignoredTraits.push(trait);
+      return;
+    }
+
+    const segments = trait.replace(/^humanLike\./, '').split('.');
+    if (segments.length === 1 && PERSONA_SCHEMA[segments[0]]) {
+      applySections(profiles, { [segments[0]]: value }, 'overlay.traits', issues);
+      return;
+    }
+    if (segments.length === 2 && PERSONA_SCHEMA[segments[0]]) {
+      applyField(profiles, segments[0], segments[1], value, path, issues);
+      return;
+    }
+    issues.push({ path, problem: 'unknown_field', value });
+  });
+}
+
+function normalizeKeys(object) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [
+    key.charAt(0).toLowerCase() + key.slice(1),
+    value
+  ]));
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,167 @@
+import { detectConsent } from './detectConsent.js';
+import { humanLikeClick } from './humanLikeActions.js';
+import { runAction, unwrapResult } from './utils/actionRunner.js';
+import { formatElementPath, getElementText } from './utils/dom.js';
+import { createScanContext } from './utils/scanContext.js';
+
+const BUTTON_SELECTOR = 'button, a, input[type="button"], input[type="submit"], [role="button"]';
+const TOGGLE_SELECTOR = 'input[type="checkbox"], [role="switch"], [role="checkbox"]';
+const DIALOG_SELECTOR = '[role="dialog"], [role="alertdialog"], [aria-modal="true"]';
+const CONSENT_CONTAINER_SELECTOR = [
+  '[class*="consent" i]',
+  '[class*="cookie" i]',
+  '[id*="consent" i]',
+  '[id*="cookie" i]',
+  '[class*="cmp" i]',
+  '[id*="cmp" i]',
+  '[class*="gdpr" i]',
+  '[id*="gdpr" i]'
+].join(', ');
+
+const PREFERENCES = ['reject', 'necessary', 'accept'];
+
+const defaultResolveOptions = {
+  preference: 'reject',
+  settleMs: 600,
+  clickProfile: {}
+};
+
+export function resolveConsent(options = {}) {
+  return runAction('resolveConsent', run => performResolveConsent(run, options), options);
+}
+
+async function performResolveConsent(run, options) {
+  const settings = { ...defaultResolveOptions, ...options };
+  if (!PREFERENCES.includes(settings.preference)) {
+    throw new TypeError(`Unknown consent preference "${settings.preference}"`);
+  }
+
+  const scan = () => createScanContext(document, { locale: settings.locale });
+  const before = detectConsent(scan());
+  const clicked = [];
+  const toggled = [];
+  const clickProfile = { ...settings.clickProfile, signal: run.signal, seed: run.seed, random: run.random };
+  run.progress.clicked = clicked;
+  run.progress.toggled = toggled;
+
+  if (!before.detected) {
+    return { strategy: 'none', preference: settings.preference, clicked, toggled, cleared: true, before, after: before };
+  }
+
+  const click = async element => {
+    clicked.push(describeControl(element));
+    unwrapResult(await humanLikeClick(element, clickProfile));
+  };
+
+  let strategy = null;
+  if (settings.preference === 'accept') {
+    const accept = findButton(scan(), 'consentAccept', ['consentReject', 'consentNecessary']);
+    if (accept) {
+      await click(accept);
+      strategy = 'accept';
+    }
+  } else {
+    const groups = settings.preference === 'necessary'
+      ? ['consentNecessary', 'consentReject']
+      : ['consentReject', 'consentNecessary'];
+
+    for (const group of groups) {
+      const button = findButton(scan(), group, []);
+      if (button) {
+        await click(button);
+        strategy = group === 'consentReject' ? 'reject' : 'necessary';
+        break;
+      }
+    }
+
+    if (!strategy) {
+      const manage = findButton(scan(), 'consentManage', []);
+      if (manage) {
+        await click(manage);
+        await run.wait(settings.settleMs);
+        strategy = 'manage_preferences';
+
+        for (const toggle of findActiveToggles(scan())) {
+          toggled.push(describeControl(toggle));
+          unwrapResult(await humanLikeClick(clickableToggle(toggle), clickProfile));
+        }
+
+        const layer = scan();
+        const save = findButton(layer, 'consentSave', ['consentAccept'])
+          || findButton(layer, 'consentNecessary', [])
+          || findButton(layer, 'consentReject', []);
+        if (save) {
+          await click(save);
+        }
+      }
+    }
+  }
+
+  if (!strategy) {
+    return { strategy: null, preference: settings.preference, clicked, toggled, cleared: false, before, after: before };
+  }
+
+  await run.wait(settings.settleMs);
+  const after = detectConsent(scan());
+  return {
+    strategy,
+    preference: settings.preference,
+    clicked,
+    toggled,
+    cleared: !after.detected,
+    before,
+    after
+  };
+}
+
+function findButton(context, group, excludedGroups) {
+  const candidates = context.query(BUTTON_SELECTOR)
+    .filter(el => context.isVisible(el) && isInConsentContainer(el, context) && context.matchKeywords(el, group))
+    .filter(el => !excludedGroups.some(excluded => context.matchKeywords(el, excluded)));
+
+  return candidates[0] || null;
+}
+
+function findActiveToggles(context) {
+  return context.query(TOGGLE_SELECTOR)
+    .filter(el => isInConsentContainer(el, context))
+    .filter(el => !el.disabled && el.getAttribute('aria-disabled') !== 'true')
+    .filter(el => (el.type === 'checkbox' ? el.checked : el.getAttribute('aria-checked') === 'true'))
+    .filter(el => context.isVisible(clickableToggle(el)));
+}
+
+function clickableToggle(toggle) {
+  if (toggle.type === 'checkbox' && toggle.labels && toggle.labels.length > 0) {
+    const style = toggle.ownerDocument.defaultView.getComputedStyle(toggle);
+    if (style.display === 'none' || style.visibility === 'hidden' || Number(style.opacity) === 0) {
+      return toggle.labels[0];
+    }
+  }
+  return toggle;
+}
+
+function isInConsentContainer(element, context) {
+  let current = element;
+  while (current) {
+    if (current.matches && current.matches(CONSENT_CONTAINER_SELECTOR)) {
+      return true;
+    }
+    if (current.matches && current.matches(DIALOG_SELECTOR) && isConsentDialog(current, context)) {
+      return true;
+    }
+    current = current.parentElement || current.getRootNode()?.host || null;
+  }
+  return false;
+}
+
+function isConsentDialog(dialog, context) {
+  return Boolean(dialog.querySelector(CONSENT_CONTAINER_SELECTOR)) || Boolean(context.matchKeywords(dialog, 'consentExplanation'));
+}
+
+function describeControl(element) {
+  const label = element.labels && element.labels.length > 0 ? element.labels[0] : null;
+  return {
+    path: formatElementPath(element),
+    text: getElementText(label || element).slice(0, 80)
+  };
+}
@@ -0,0 +1,45 @@
+export const BLOCK_HEADING_SELECTORS = ['h1', 'h2', 'h3', '[role="heading"]'];
+export const RATE_LIMIT_CODES = [/\b429\b/, /error\s*1015\b/i];
+export const ACCESS_DENIED_CODES = [/\b403\b/, /error\s*10(0[5-9]|1[0-2]|20)\b/i];
+
+export const accessBlockRules = {
+  name: 'access_block',
+  severity: 4,
+  threshold: 0.55,
+  rules: [
+    {
+      selectors: BLOCK_HEADING_SELECTORS,
+      keywords: 'rateLimit',
+      textPatterns: RATE_LIMIT_CODES,
+      weight: 0.45
+    },
+    {
+      selectors: BLOCK_HEADING_SELECTORS,
+      keywords: 'accessDenied',
+      textPatterns: ACCESS_DENIED_CODES,
+      weight: 0.45
+    },
+    {
+      selectors: [
+        '#cf-error-details',
+        '#cf-wrapper',
+        '.cf-error-code',
+        '[data-translate="block_headline"]',
+        'div[id*="rate-limit" i]',
+        'div[class*="ratelimit" i]',
+        'div[class*="access-denied" i]',
+        'div[id*="access-denied" i]'
+      ],
+      weight: 0.35
+    },
+    {
+      selectors: ['p, li, span, div, pre'],
+      keywords: 'accessBlockExplanation',
+      innermost: true,
+      maxMatches: 1,
+      supporting: true,
+      weight: 0.2
+    }
+  ],
+  signals: []
+};
@@ -0,0 +1,34 @@
+export const captchaRules = {
+  name: 'captcha',
+  severity: 3,
+  threshold: 0.55,
+  rules: [
+    {
+      selectors: [
+        'iframe[src*="recaptcha" i]',
+        'iframe[src*="hcaptcha" i]',
+        'iframe[src*="turnstile" i]',
+        'iframe[src*="captcha" i]'
+      ],
+      weight: 0.5
+    },
+    {
+      selectors: [
+        '[data-sitekey]',
+        'div[id*="captcha" i]',
+        'div[class*="captcha" i]'
+      ],
+      weight: 0.25
+    },
+    {
+      selectors: ['div, span, label, p'],
+      keywords: 'captchaPrompt',
+      innermost: true,
+      maxMatches: 1,
+      weight: 0.2
+    }
+  ],
+  signals: [
+    { type: 'global', names: ['grecaptcha', 'hcaptcha'], weight: 0.2 }
+  ]
+};
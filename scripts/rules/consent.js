@@ -0,0 +1,32 @@
+export const consentRules = {
+  name: 'consent_wall',
+  severity: 1,
+  threshold: 0.5,
+  rules: [
+    {
+      selectors: [
+        '[class*="consent" i]',
+        '[class*="cookie" i]',
+        '[id*="consent" i]',
+        '[id*="cookie" i]',
+        '[aria-label*="consent" i]'
+      ],
+      weight: 0.3
+    },
+    {
+      selectors: ['button, a, input[type="button"], input[type="submit"]'],
+      keywords: 'consentAction',
+      weight: 0.35
+    },
+    {
+      selectors: ['div, p, span'],
+      keywords: 'consentExplanation',
+      weight: 0.2
+    },
+    {
+      selectors: ['[role="dialog"], [class*="modal" i], [class*="banner" i]'],
+      minAreaRatio: 0.15,
+      weight: 0.2
+    }
+  ]
+};
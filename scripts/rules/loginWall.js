@@ -0,0 +1,35 @@
+export const loginWallRules = {
+  name: 'login_wall',
+  severity: 2,
+  threshold: 0.6,
+  rules: [
+    {
+      selectors: [
+        'form[action*="login" i]',
+        'form[action*="signin" i]',
+        'form[action*="auth" i]',
+        'div[class*="login" i]',
+        'div[id*="login" i]'
+      ],
+      minAreaRatio: 0.08,
+      weight: 0.4
+    },
+    {
+      selectors: ['input[type="password"]'],
+      weight: 0.35
+    },
+    {
+      selectors: ['button, a, input[type="submit"]'],
+      keywords: 'loginAction',
+      weight: 0.2
+    },
+    {
+      selectors: ['[class*="modal" i], [class*="overlay" i], div[role="dialog"]'],
+      minAreaRatio: 0.25,
+      weight: 0.3
+    }
+  ],
+  signals: [
+    { type: 'bodyStyle', property: 'overflow', value: 'hidden', weight: 0.1 }
+  ]
+};
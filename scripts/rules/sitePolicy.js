@@ -0,0 +1,71 @@
+const DIALOG_SELECTORS = ['[role="dialog"]', '[role="alertdialog"]', '[aria-modal="true"]', 'dialog'];
+const OVERLAY_SELECTORS = [...DIALOG_SELECTORS, '[class*="modal" i]', '[class*="overlay" i]', '[class*="popup" i]'];
+const AGE_GATE_SELECTORS = [
+  '[id*="age-gate" i]',
+  '[class*="age-gate" i]',
+  '[id*="agegate" i]',
+  '[class*="agegate" i]',
+  '[id*="age-verification" i]',
+  '[class*="age-verification" i]'
+];
+
+export const ageGateRules = {
+  name: 'age_gate',
+  severity: 2,
+  threshold: 0.55,
+  rules: [
+    {
+      selectors: AGE_GATE_SELECTORS,
+      weight: 0.45
+    },
+    {
+      selectors: DIALOG_SELECTORS,
+      keywords: 'ageVerification',
+      weight: 0.35
+    },
+    {
+      selectors: ['h1, h2, h3, p, label, span, div'],
+      keywords: 'ageVerification',
+      within: [...OVERLAY_SELECTORS, ...AGE_GATE_SELECTORS],
+      innermost: true,
+      maxMatches: 1,
+      weight: 0.3
+    },
+    {
+      selectors: ['input[name*="birth" i]', 'select[name*="birth" i]', 'input[name*="dob" i]', 'input[type="date"][name*="age" i]'],
+      weight: 0.2
+    }
+  ],
+  signals: []
+};
+
+export const termsGateRules = {
+  name: 'terms_gate',
+  severity: 1,
+  threshold: 0.6,
+  rules: [
+    {
+      selectors: DIALOG_SELECTORS,
+      keywords: 'termsAcceptance',
+      weight: 0.4
+    },
+    {
+      selectors: ['h1, h2, h3, p, label, span, div'],
+      keywords: 'termsAcceptance',
+      within: OVERLAY_SELECTORS,
+      innermost: true,
+      maxMatches: 1,
+      weight: 0.25
+    },
+    {
+      selectors: [
+        'input[type="checkbox"][name*="terms" i]',
+        'input[type="checkbox"][id*="terms" i]',
+        'input[type="checkbox"][name*="tos" i]',
+        'input[type="checkbox"][name*="agree" i]'
+      ],
+      weight: 0.2
+    }
+  ],
+  signals: []
+};
@@ -0,0 +1,488 @@
+import { ElementNotFoundError } from './errors.js';
+import { getPersonaProfile } from './persona.js';
+import { CLICK_CHECKS, describeTarget, resolveTarget, waitForActionable } from './utils/actionability.js';
+import { runAction } from './utils/actionRunner.js';
+import { getElementWindow, scrollByDelta } from './utils/dom.js';
+import { emit } from './utils/events.js';
+import { recordScroll } from './utils/journal.js';
+
+export const INPUT_MODES = ['mouse', 'touch'];
+
+const defaultTouchProfile = {
+  preTouchDelayMs: 120,
+  tapDurationMs: 90,
+  tapVarianceMs: 30,
+  releaseDelayMs: 80,
+  longPressMs: 650,
+  longPressVarianceMs: 120,
+  contextMenu: true,
+  driftPx: 1.5,
+  driftIntervalMs: 90,
+  contactRadiusPx: 11,
+  contactRadiusVariancePx: 3,
+  touchJitterPx: 4,
+  direction: 'up',
+  swipeDistancePx: 320,
+  swipeDurationMs: 280,
+  swipeVarianceMs: 60,
+  swipeSteps: 12,
+  scroll: true,
+  scale: 2,
+  pinchGapPx: 80,
+  pinchDurationMs: 420,
+  pinchSteps: 12,
+  targetXRatio: 0.5,
+  targetYRatio: 0.5,
+  scrollAlignment: 'center',
+  autoWait: true,
+  waitTimeoutMs: 5000,
+  waitPollMs: 50
+};
+
+const SWIPE_DIRECTIONS = {
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 }
+};
+
+const COMPAT_MOUSE_EVENTS = ['mouseover', 'mousemove', 'mousedown', 'mouseup'];
+const VIEWPORT_MARGIN_PX = 8;
+
+let nextTouchId = 2;
+
+export function resolveInputMode(profile = {}) {
+  const mode = profile.inputMode ?? getPersonaProfile('touch').inputMode ?? 'mouse';
+  if (!INPUT_MODES.includes(mode)) {
+    throw new TypeError(`Unknown input mode "${mode}"`);
+  }
+  return mode;
+}
+
+export function humanLikeTap(target, profile = {}) {
+  return runAction('tap', run => performTap(run, target, profile), profile);
+}
+
+export async function performTap(run, target, profile) {
+  const options = touchProfile(profile);
+  const { element, label, waitedMs } = await acquireTouchTarget(run, target, options);
+  const point = touchPoint(run, element, options);
+  const contact = createContact(run, element, point, options, true);
+  const active = [];
+
+  run.progress.stage = 'touch';
+  const started = touchDown(contact, active);
+  await run.wait(jittered(run, options.tapDurationMs, options.tapVarianceMs));
+  run.progress.stage = 'release';
+  const ended = touchUp(contact, active);
+
+  const clicked = started && ended && element.isConnected;
+  if (clicked) {
+    dispatchCompatClick(element, point);
+  }
+  await run.wait(options.releaseDelayMs);
+  return { tapped: true, clicked, target: label, point: roundPoint(point), waitedMs };
+}
+
+export function humanLikeLongPress(target, profile = {}) {
+  return runAction('longPress', run => performLongPress(run, target, profile), profile);
+}
+
+async function performLongPress(run, target, profile) {
+  const options = touchProfile(profile);
+  const { element, label, waitedMs } = await acquireTouchTarget(run, target, options);
+  const point = touchPoint(run, element, options);
+  const contact = createContact(run, element, point, options, true);
+  const active = [];
+
+  run.progress.stage = 'touch';
+  touchDown(contact, active);
+  const holdMs = jittered(run, options.longPressMs, options.longPressVarianceMs);
+  const start = Date.now();
+  while (Date.now() - start < holdMs) {
+    await run.wait(Math.min(options.driftIntervalMs, Math.max(8, holdMs - (Date.now() - start))));
+    contact.x = point.x + (run.random() - 0.5) * 2 * options.driftPx;
+    contact.y = point.y + (run.random() - 0.5) * 2 * options.driftPx;
+    touchMove([contact], active);
+  }
+  run.progress.heldMs = Date.now() - start;
+
+  let contextMenu = null;
+  if (options.contextMenu && element.isConnected) {
+    const shown = emit(element, new MouseEvent('contextmenu', {
+      bubbles: true,
+      cancelable: true,
+      view: getElementWindow(element),
+      clientX: contact.x,
+      clientY: contact.y
+    }));
+    contextMenu = shown ? 'shown' : 'prevented';
+  }
+
+  run.progress.stage = 'release';
+  touchUp(contact, active);
+  await run.wait(options.releaseDelayMs);
+  return { pressed: true, target: label, heldMs: run.progress.heldMs, contextMenu, point: roundPoint(point), waitedMs };
+}
+
+export function humanLikeSwipe(target, profile = {}) {
+  return runAction('swipe', run => performSwipe(run, target, profile), profile);
+}
+
+async function performSwipe(run, target, profile) {
+  const options = touchProfile(profile);
+  const vector = SWIPE_DIRECTIONS[options.direction];
+  if (!vector) {
+    throw new TypeError(`Unknown swipe direction "${options.direction}"`);
+  }
+
+  let element = null;
+  let label = 'viewport';
+  let waitedMs = 0;
+  let center = { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+  if (target) {
+    ({ element, label, waitedMs } = await acquireTouchTarget(run, target, { ...options, scrollAlignment: null }, ['attached', 'visible']));
+    const rect = element.getBoundingClientRect();
+    center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  } else {
+    element = elementAtPoint(document, center.x, center.y);
+  }
+
+  const view = element ? getElementWindow(element) : window;
+  const distance = options.swipeDistancePx * (0.9 + run.random() * 0.2);
+  const from = clampToViewport(view, {
+    x: center.x - (vector.x * distance) / 2 + (run.random() - 0.5) * options.touchJitterPx,
+    y: center.y - (vector.y * distance) / 2 + (run.random() - 0.5) * options.touchJitterPx
+  });
+  const to = clampToViewport(view, { x: from.x + vector.x * distance, y: from.y + vector.y * distance });
+
+  const axis = vector.x === 0 ? 'y' : 'x';
+  const scroller = options.scroll ? findScrollParent(element, axis) : null;
+  let scrolledPx = 0;
+  const { prevented } = await swipeGesture(run, element, from, to, options, (dx, dy, blocked) => {
+    if (!scroller || blocked) {
+      return;
+    }
+    const left = axis === 'x' ? -dx : 0;
+    const top = axis === 'y' ? -dy : 0;
+    scrollByDelta(scroller, left, top);
+    recordScroll(scroller, left, top);
+    scrolledPx += Math.abs(axis === 'x' ? dx : dy);
+  });
+
+  return {
+    swiped: true,
+    direction: options.direction,
+    distancePx: Math.round(Math.hypot(to.x - from.x, to.y - from.y)),
+    from: roundPoint(from),
+    to: roundPoint(to),
+    scrolledPx: Math.round(scrolledPx),
+    prevented,
+    target: label,
+    waitedMs
+  };
+}
+
+export function humanLikePinch(target, profile = {}) {
+  return runAction('pinch', run => performPinch(run, target, profile), profile);
+}
+
+async function performPinch(run, target, profile) {
+  const options = touchProfile(profile);
+  if (!(options.scale > 0)) {
+    throw new TypeError('Pinch scale must be a positive number');
+  }
+
+  const { element, label, waitedMs } = await acquireTouchTarget(run, target, options, ['attached', 'visible']);
+  const rect = element.getBoundingClientRect();
+  const center = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  const fromGap = options.scale < 1 ? options.pinchGapPx / options.scale : options.pinchGapPx;
+  const toGap = fromGap * options.scale;
+  const angle = run.random() * Math.PI;
+  const spread = gap => ({ x: (Math.cos(angle) * gap) / 2, y: (Math.sin(angle) * gap) / 2 });
+
+  const start = spread(fromGap);
+  const first = createContact(run, element, { x: center.x - start.x, y: center.y - start.y }, options, true);
+  const second = createContact(run, element, { x: center.x + start.x, y: center.y + start.y }, options, false);
+  const active = [];
+
+  run.progress.stage = 'touch';
+  let prevented = !touchDown(first, active);
+  await run.wait(jittered(run, 30, 15));
+  prevented = !touchDown(second, active) || prevented;
+
+  const steps = Math.max(2, Math.floor(options.pinchSteps));
+  for (let step = 1; step <= steps; step += 1) {
+    const offset = spread(fromGap + (toGap - fromGap) * easeInOut(step / steps));
+    first.x = center.x - offset.x + (run.random() - 0.5) * options.driftPx;
+    first.y = center.y - offset.y + (run.random() - 0.5) * options.driftPx;
+    second.x = center.x + offset.x + (run.random() - 0.5) * options.driftPx;
+    second.y = center.y + offset.y + (run.random() - 0.5) * options.driftPx;
+    prevented = !touchMove([first, second], active) || prevented;
+    run.progress.step = step;
+    await run.wait(jittered(run, options.pinchDurationMs / steps, options.pinchDurationMs / steps / 3));
+  }
+
+  run.progress.stage = 'release';
+  touchUp(second, active);
+  await run.wait(jittered(run, 25, 10));
+  touchUp(first, active);
+  await run.wait(options.releaseDelayMs);
+
+  return {
+    pinched: true,
+    scale: options.scale,
+    fromGapPx: Math.round(fromGap),
+    toGapPx: Math.round(toGap),
+    prevented,
+    target: label,
+    waitedMs
+  };
+}
+
+export async function swipeGesture(run, element, from, to, profile, onMove) {
+  const options = touchProfile(profile);
+  const target = element || document.body;
+  const contact = createContact(run, target, from, options, true);
+  const active = [];
+  let prevented = !touchDown(contact, active);
+  let previous = { ...from };
+
+  const steps = Math.max(2, Math.floor(options.swipeSteps));
+  for (let step = 1; step <= steps; step += 1) {
+    const eased = easeOut(step / steps);
+    contact.x = from.x + (to.x - from.x) * eased + (run.random() - 0.5) * options.driftPx;
+    contact.y = from.y + (to.y - from.y) * eased + (run.random() - 0.5) * options.driftPx;
+    prevented = !touchMove([contact], active) || prevented;
+    if (onMove) {
+      onMove(contact.x - previous.x, contact.y - previous.y, prevented);
+    }
+    previous = { x: contact.x, y: contact.y };
+    await run.wait(jittered(run, options.swipeDurationMs / steps, options.swipeVarianceMs / steps));
+  }
+
+  touchUp(contact, active);
+  return { prevented, from, to: previous };
+}
+
+export function createTouchEvent(type, target, init = {}) {
+  const view = getElementWindow(target);
+  const eventInit = {
+    bubbles: true,
+    cancelable: type !== 'touchcancel',
+    view,
+    touches: init.touches || [],
+    targetTouches: init.targetTouches || init.touches || [],
+    changedTouches: init.changedTouches || []
+  };
+
+  if (typeof view.TouchEvent === 'function') {
+    try {
+      return new view.TouchEvent(type, eventInit);
+    } catch (_) {
+      // engines without the Touch constructor reject plain touch-point objects
+    }
+  }
+
+  const event = new view.Event(type, { bubbles: eventInit.bubbles, cancelable: eventInit.cancelable });
+  ['touches', 'targetTouches', 'changedTouches'].forEach(key => {
+    Object.defineProperty(event, key, { value: eventInit[key] });
+  });
+  return event;
+}
+
+async function acquireTouchTarget(run, target, options, checks = CLICK_CHECKS) {
+  const find = async (subject, subjectChecks, pointAt, label) => {
+    if (!options.autoWait) {
+      const element = resolveTarget(subject);
+      if (!element) {
+        throw new ElementNotFoundError(describeTarget(subject));
+      }
+      return { element, waitedMs: 0 };
+    }
+    return waitForActionable(subject, {
+      checks: subjectChecks,
+      pointAt,
+      label,
+      signal: run.signal,
+      timeoutMs: options.waitTimeoutMs,
+      pollMs: options.waitPollMs
+    });
+  };
+
+  const located = await find(target, ['attached', 'visible']);
+  const label = describeTarget(target, located.element);
+  run.progress.stage = 'located';
+  if (options.scrollAlignment) {
+    located.element.scrollIntoView({ behavior: 'smooth', block: options.scrollAlignment });
+  }
+  await run.wait(options.preTouchDelayMs);
+
+  const pointAt = box => ({
+    x: box.left + box.width * options.targetXRatio,
+    y: box.top + box.height * options.targetYRatio
+  });
+  const actionable = await find(located.element, checks, pointAt, label);
+  return { element: actionable.element, label, waitedMs: located.waitedMs + actionable.waitedMs };
+}
+
+function touchProfile(profile) {
+  return { ...defaultTouchProfile, ...getPersonaProfile('touch'), ...profile };
+}
+
+function touchPoint(run, element, options) {
+  const rect = element.getBoundingClientRect();
+  const jitter = () => (run.random() - 0.5) * 2 * options.touchJitterPx;
+  return {
+    x: clamp(rect.left + rect.width * options.targetXRatio + jitter(), rect.left + 1, rect.right - 1),
+    y: clamp(rect.top + rect.height * options.targetYRatio + jitter(), rect.top + 1, rect.bottom - 1)
+  };
+}
+
+function createContact(run, element, point, options, primary) {
+  const radius = Math.max(1, options.contactRadiusPx + (run.random() - 0.5) * 2 * options.contactRadiusVariancePx);
+  const contact = {
+    id: nextTouchId,
+    element,
+    x: point.x,
+    y: point.y,
+    radius,
+    force: 0.4 + run.random() * 0.3,
+    primary
+  };
+  nextTouchId += 1;
+  return contact;
+}
+
+function touchDown(contact, active) {
+  dispatchTouchPointer(contact, 'pointerover');
+  dispatchTouchPointer(contact, 'pointerenter');
+  dispatchTouchPointer(contact, 'pointerdown', { buttons: 1, pressure: contact.force });
+  active.push(contact);
+  return dispatchTouch('touchstart', contact.element, active, [contact]);
+}
+
+function touchMove(contacts, active) {
+  contacts.forEach(contact => dispatchTouchPointer(contact, 'pointermove', { buttons: 1, pressure: contact.force }));
+  return dispatchTouch('touchmove', contacts[0].element, active, contacts);
+}
+
+function touchUp(contact, active) {
+  dispatchTouchPointer(contact, 'pointerup', { buttons: 0, pressure: 0 });
+  dispatchTouchPointer(contact, 'pointerout', { pressure: 0 });
+  dispatchTouchPointer(contact, 'pointerleave', { pressure: 0 });
+  active.splice(active.indexOf(contact), 1);
+  return dispatchTouch('touchend', contact.element, active, [contact]);
+}
+
+function dispatchTouchPointer(contact, type, options = {}) {
+  const view = getElementWindow(contact.element);
+  return emit(contact.element, new view.PointerEvent(type, {
+    bubbles: true,
+    cancelable: true,
+    view,
+    pointerId: contact.id,
+    pointerType: 'touch',
+    isPrimary: contact.primary,
+    clientX: contact.x,
+    clientY: contact.y,
+    width: contact.radius * 2,
+    height: contact.radius * 2,
+    buttons: 0,
+    pressure: 0,
+    ...options
+  }));
+}
+
+function dispatchTouch(type, target, active, changed) {
+  const touches = active.map(toTouchPoint);
+  return emit(target, createTouchEvent(type, target, {
+    touches,
+    targetTouches: active.filter(contact => contact.element === target).map(toTouchPoint),
+    changedTouches: changed.map(toTouchPoint)
+  }));
+}
+
+function toTouchPoint(contact) {
+  const view = getElementWindow(contact.element);
+  const init = {
+    identifier: contact.id,
+    target: contact.element,
+    clientX: contact.x,
+    clientY: contact.y,
+    pageX: contact.x + (view.scrollX || 0),
+    pageY: contact.y + (view.scrollY || 0),
+    screenX: contact.x,
+    screenY: contact.y,
+    radiusX: contact.radius,
+    radiusY: contact.radius,
+    rotationAngle: 0,
+    force: contact.force
+  };
+
+  if (typeof view.Touch === 'function') {
+    try {
+      return new view.Touch(init);
+    } catch (_) {
+      // fall back to a plain touch-point record
+    }
+  }
+  return init;
+}
+
+function dispatchCompatClick(element, point) {
+  const view = getElementWindow(element);
+  const init = { bubbles: true, cancelable: true, view, clientX: point.x, clientY: point.y, detail: 1 };
+  COMPAT_MOUSE_EVENTS.forEach(type => {
+    emit(element, new view.MouseEvent(type, { ...init, buttons: type === 'mousedown' ? 1 : 0 }));
+  });
+  emit(element, new view.MouseEvent('click', init));
+}
+
+function findScrollParent(element, axis) {
+  for (let current = element; current && current.nodeType === 1; current = current.parentElement) {
+    if (current === current.ownerDocument.body || current === current.ownerDocument.documentElement) {
+      break;
+    }
+    const style = getElementWindow(current).getComputedStyle(current);
+    const overflow = style[axis === 'x' ? 'overflowX' : 'overflowY'] || style.overflow;
+    const scrollable = axis === 'x'
+      ? current.scrollWidth > current.clientWidth
+      : current.scrollHeight > current.clientHeight;
+    if (scrollable && (overflow === 'auto' || overflow === 'scroll')) {
+      return current;
+    }
+  }
+  return element ? getElementWindow(element) : window;
+}
+
+function elementAtPoint(root, x, y) {
+  return root.elementFromPoint(x, y) || root.body;
+}
+
+function clampToViewport(view, point) {
+  return {
+    x: clamp(point.x, VIEWPORT_MARGIN_PX, (view.innerWidth || VIEWPORT_MARGIN_PX * 2) - VIEWPORT_MARGIN_PX),
+    y: clamp(point.y, VIEWPORT_MARGIN_PX, (view.innerHeight || VIEWPORT_MARGIN_PX * 2) - VIEWPORT_MARGIN_PX)
+  };
+}
+
+function jittered(run, base, variance) {
+  return Math.max(8, base + (run.random() - 0.5) * 2 * variance);
+}
+
+function easeOut(t) {
+  return 1 - (1 - t) ** 3;
+}
+
+function easeInOut(t) {
+  return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), Math.max(min, max));
+}
+
+function roundPoint(point) {
+  return { x: Math.round(point.x), y: Math.round(point.y) };
+}
@@ -0,0 +1,205 @@
+import { ActionAbortedError, ActionError, ActionTimeoutError, toActionError } from '../errors.js';
+import { recordBoundary } from './journal.js';
+import { resolveRandomSource } from './random.js';
+
+const activeRuns = new Set();
+const pauseGate = { paused: false, reason: null, since: 0, runs: new Set(), released: null, release: null };
+
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+export function abortableWait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+export function getActiveActions() {
+  return Array.from(activeRuns).map(entry => ({
+    action: entry.action,
+    startedAt: entry.startedAt.toISOString(),
+    paused: pauseGate.paused && pauseGate.runs.has(entry)
+  }));
+}
+
+export function pauseActions(reason = '') {
+  if (pauseGate.paused) {
+    return false;
+  }
+  pauseGate.paused = true;
+  pauseGate.reason = reason;
+  pauseGate.since = Date.now();
+  pauseGate.runs = new Set(activeRuns);
+  pauseGate.released = new Promise(resolve => {
+    pauseGate.release = resolve;
+  });
+  return true;
+}
+
+export function resumeActions() {
+  if (!pauseGate.paused) {
+    return false;
+  }
+  const release = pauseGate.release;
+  pauseGate.paused = false;
+  pauseGate.reason = null;
+  pauseGate.runs = new Set();
+  pauseGate.released = null;
+  pauseGate.release = null;
+  release();
+  return true;
+}
+
+export function getPauseState() {
+  return {
+    paused: pauseGate.paused,
+    reason: pauseGate.reason,
+    pausedMs: pauseGate.paused ? Date.now() - pauseGate.since : 0,
+    actions: Array.from(pauseGate.runs, entry => entry.action)
+  };
+}
+
+export function abortActiveActions(reason = '', details = {}) {
+  const runs = Array.from(activeRuns);
+  runs.forEach(entry => {
+    entry.controller.abort(new ActionAbortedError(entry.action, reason, details));
+  });
+  return runs.map(entry => entry.action);
+}
+
+export async function runAction(action, perform, options = {}) {
+  const startedAt = new Date();
+  const start = now();
+  const controller = new AbortController();
+  const progress = {};
+  const { seed, random } = resolveRandomSource(options);
+  const externalSignal = options.signal || null;
+
+  const onExternalAbort = () => {
+    controller.abort(new ActionAbortedError(action, describeReason(externalSignal.reason)));
+  };
+  if (externalSignal) {
+    if (externalSignal.aborted) {
+      onExternalAbort();
+    } else {
+      externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+    }
+  }
+
+  const timer = options.timeoutMs > 0
+    ? setTimeout(() => controller.abort(new ActionTimeoutError(action, options.timeoutMs)), options.timeoutMs)
+    : null;
+
+  const run = {
+    action,
+    signal: controller.signal,
+    progress,
+    seed,
+    random,
+    checkpoint() {
+      if (controller.signal.aborted) {
+        throw controller.signal.reason;
+      }
+    },
+    async wait(ms) {
+      await abortableWait(ms, controller.signal);
+      await waitWhilePaused(entry, controller.signal);
+    }
+  };
+  const entry = { action, startedAt, controller };
+
+  const finish = (ok, data, error) => {
+    const durationMs = Math.round(now() - start);
+    recordBoundary(action, 'end', { ok, errorType: error ? error.errorType : null, durationMs });
+    return {
+      ok,
+      action,
+      data,
+      error,
+      seed,
+      timings: {
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date(startedAt.getTime() + durationMs).toISOString(),
+        durationMs
+      }
+    };
+  };
+
+  const aborted = new Promise((_, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+
+  recordBoundary(action, 'start', { seed });
+  activeRuns.add(entry);
+
+  try {
+    run.checkpoint();
+    const performing = Promise.resolve().then(() => perform(run));
+    performing.catch(() => {});
+    const data = await Promise.race([performing, aborted]);
+    return finish(true, data, null);
+  } catch (error) {
+    return finish(false, { ...progress }, toActionError(error).toJSON());
+  } finally {
+    activeRuns.delete(entry);
+    pauseGate.runs.delete(entry);
+    clearTimeout(timer);
+    if (externalSignal) {
+      externalSignal.removeEventListener('abort', onExternalAbort);
+    }
+  }
+}
+
+export function unwrapResult(result) {
+  if (result.ok) {
+    return result.data;
+  }
+
+  const { message, errorType, canRetry, details } = result.error;
+  throw new ActionError(message, { errorType, canRetry, details });
+}
+
+async function waitWhilePaused(entry, signal) {
+  while (pauseGate.paused && pauseGate.runs.has(entry)) {
+    const released = pauseGate.released;
+    await new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      released.then(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      });
+    });
+  }
+}
+
+function describeReason(reason) {
+  if (!reason) {
+    return '';
+  }
+  return typeof reason === 'string' ? reason : reason.message || String(reason);
+}
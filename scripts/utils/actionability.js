@@ -0,0 +1,147 @@
+import {
+  ElementDetachedError,
+  ElementNotFoundError,
+  ElementNotInteractableError,
+  ElementNotVisibleError,
+  ElementObscuredError
+} from '../errors.js';
+import { deepQuerySelector, formatElementPath, getElementWindow } from './dom.js';
+import { describeLocator, isLocator, resolveLocator } from './locators.js';
+import { waitForCondition } from './waiting.js';
+
+export const CLICK_CHECKS = ['attached', 'visible', 'stable', 'enabled', 'receivesEvents'];
+export const TYPE_CHECKS = ['attached', 'visible', 'enabled', 'editable'];
+
+const STABILITY_TOLERANCE_PX = 1;
+
+export function resolveTarget(target) {
+  if (isLocator(target)) {
+    return resolveLocator(target);
+  }
+  if (typeof target === 'string') {
+    return deepQuerySelector(target);
+  }
+  return target || null;
+}
+
+export function describeTarget(target, element) {
+  if (isLocator(target)) {
+    return describeLocator(target);
+  }
+  if (typeof target === 'string') {
+    return target;
+  }
+  return element ? formatElementPath(element) : String(target);
+}
+
+export function hitTest(element, x, y) {
+  const rootNode = element.getRootNode();
+  const hitRoot = typeof rootNode.elementFromPoint === 'function' ? rootNode : element.ownerDocument;
+  const hit = hitRoot.elementFromPoint(x, y);
+  return {
+    hit,
+    receives: Boolean(hit) && (hit === element || element.contains(hit))
+  };
+}
+
+export async function waitForActionable(target, options = {}) {
+  const checks = options.checks || CLICK_CHECKS;
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const pointAt = options.pointAt || (rect => ({ x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 }));
+  let everFound = false;
+  let previousRect = null;
+
+  const outcome = await waitForCondition(() => {
+    const element = resolveTarget(target);
+    if (element) {
+      everFound = true;
+    }
+
+    for (const check of checks) {
+      const failure = runCheck(check, element, { pointAt, previousRect });
+      if (check === 'stable' && element) {
+        previousRect = element.getBoundingClientRect();
+      }
+      if (failure) {
+        return { done: false, value: { element, failure } };
+      }
+    }
+
+    return { done: true, value: { element, failure: null } };
+  }, { timeoutMs, pollMs: options.pollMs, root: options.root, signal: options.signal });
+
+  if (outcome.satisfied) {
+    return { element: outcome.value.element, waitedMs: outcome.elapsedMs };
+  }
+
+  const { element, failure } = outcome.value;
+  const label = options.label || describeTarget(target, element);
+  const details = { check: failure.check, timeoutMs, waitedMs: outcome.elapsedMs, ...failure.details };
+  throw createCheckError(failure.check, label, details, everFound);
+}
+
+export function assertReceivesEvents(element, label, x, y) {
+  const { hit, receives } = hitTest(element, x, y);
+  if (!receives) {
+    throw new ElementObscuredError(label, { check: 'receivesEvents', obscuredBy: hit ? formatElementPath(hit) : null });
+  }
+}
+
+function runCheck(check, element, { pointAt, previousRect }) {
+  if (check === 'attached') {
+    return element && element.isConnected ? null : { check };
+  }
+
+  if (!element) {
+    return { check: 'attached' };
+  }
+
+  if (check === 'visible') {
+    const style = getElementWindow(element).getComputedStyle(element);
+    const rect = element.getBoundingClientRect();
+    const hidden = !style || style.visibility === 'hidden' || style.display === 'none' || Number(style.opacity) === 0;
+    return hidden || rect.width === 0 || rect.height === 0 ? { check } : null;
+  }
+
+  if (check === 'stable') {
+    const rect = element.getBoundingClientRect();
+    if (!previousRect) {
+      return { check };
+    }
+    const moved = ['left', 'top', 'width', 'height']
+      .some(key => Math.abs(rect[key] - previousRect[key]) > STABILITY_TOLERANCE_PX);
+    return moved ? { check } : null;
+  }
+
+  if (check === 'enabled') {
+    const disabled = (typeof element.matches === 'function' && element.matches(':disabled'))
+      || element.getAttribute('aria-disabled') === 'true';
+    return disabled ? { check } : null;
+  }
+
+  if (check === 'editable') {
+    const editable = element.isContentEditable || ('value' in element && !element.readOnly);
+    return editable ? null : { check };
+  }
+
+  if (check === 'receivesEvents') {
+    const { x, y } = pointAt(element.getBoundingClientRect());
+    const { hit, receives } = hitTest(element, x, y);
+    return receives ? null : { check, details: { obscuredBy: hit ? formatElementPath(hit) : null } };
+  }
+
+  return null;
+}
+
+function createCheckError(check, label, details, everFound) {
+  switch (check) {
+    case 'attached':
+      return everFound ? new ElementDetachedError(label, details) : new ElementNotFoundError(label, details);
+    case 'visible':
+      return new ElementNotVisibleError(label, details);
+    case 'receivesEvents':
+      return new ElementObscuredError(label, details);
+    default:
+      return new ElementNotInteractableError(label, details);
+  }
+}
@@ -1,11 +1,16 @@
 const VISIBILITY_THRESHOLD = 0.1;
+const BOUNDARY_COMBINATOR = '>>>';
+const evidenceElements = new WeakMap();
+
+export const SENSITIVE_SELECTORS = ['[data-sensitive]', '[autocomplete^="cc-"]'];
 
 export function isVisible(element) {
   if (!element) {
     return false;
   }
 
-  const style = window.getComputedStyle(element);
+  const view = getElementWindow(element);
+  const style = view.getComputedStyle(element);
   if (!style) {
     return false;
   }
@@ -22,15 +27,19 @@ export function isVisible(element) {
   const inViewport =
     rect.bottom >= 0 &&
     rect.right >= 0 &&
-    rect.top <= (window.innerHeight || document.documentElement.clientHeight) &&
-    rect.left <= (window.innerWidth || document.documentElement.clientWidth);
+    rect.top <= (view.innerHeight || view.document.documentElement.clientHeight) &&
+    rect.left <= (view.innerWidth || view.document.documentElement.clientWidth);
 
   if (!inViewport) {
     return false;
   }
 
+  if (view !== window && view.frameElement && !isVisible(view.frameElement)) {
+    return false;
+  }
+
   const area = rect.width * rect.height;
-  const viewportArea = (window.innerWidth || 1) * (window.innerHeight || 1);
+  const viewportArea = (view.innerWidth || 1) * (view.innerHeight || 1);
   const areaRatio = area / viewportArea;
   return areaRatio >= VISIBILITY_THRESHOLD || isElementInteractable(element, rect, style);
 }
@@ -40,9 +49,10 @@ export function getVisibilityMetrics(element) {
     return { visible: false, areaRatio: 0, inViewport: false, rect: null };
   }
 
+  const view = getElementWindow(element);
   const rect = element.getBoundingClientRect();
-  const viewportWidth = window.innerWidth || document.documentElement.clientWidth || 1;
-  const viewportHeight = window.innerHeight || document.documentElement.clientHeight || 1;
+  const viewportWidth = view.innerWidth || view.document.documentElement.clientWidth || 1;
+  const viewportHeight = view.innerHeight || view.document.documentElement.clientHeight || 1;
   const viewportArea = viewportWidth * viewportHeight;
   const area = rect.width * rect.height;
   const inViewport =
@@ -59,12 +69,59 @@ export function getVisibilityMetrics(element) {
   };
 }
 
+export function getElementText(element) {
+  if (!element) {
+    return '';
+  }
+
+  return (element.textContent || element.value || '').trim();
+}
+
+export function getAccessibleName(element) {
+  if (!element) {
+    return '';
+  }
+
+  const labelledBy = element.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const rootNode = element.getRootNode();
+    const text = labelledBy
+      .split(/\s+/)
+      .map(id => (typeof rootNode.getElementById === 'function' ? rootNode.getElementById(id) : null))
+      .filter(Boolean)
+      .map(getElementText)
+      .join(' ')
+      .trim();
+    if (text) {
+      return text;
+    }
+  }
+
+  const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) {
+    return ariaLabel;
+  }
+
+  const labels = Array.from(element.labels || []).map(getElementText).filter(Boolean);
+  if (labels.length > 0) {
+    return labels.join(' ');
+  }
+
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') {
+    return (element.getAttribute('title') || element.getAttribute('placeholder') || '').trim();
+  }
+
+  return (element.textContent || element.getAttribute('title') || element.getAttribute('alt') || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
 export function elementContainsText(element, patterns) {
   if (!element) {
     return false;
   }
 
-  const text = (element.textContent || element.value || '').trim();
+  const text = getElementText(element);
   if (!text) {
     return false;
   }
@@ -77,12 +134,247 @@ export function collectEvidence(elements) {
     .filter(Boolean)
     .map(el => {
       const metrics = getVisibilityMetrics(el);
-      return {
+      const boundaries = getElementBoundaries(el);
+      const entry = {
         selector: describeElement(el),
         areaRatio: Number(metrics.areaRatio.toFixed(3)),
         inViewport: metrics.inViewport
       };
+      if (boundaries.length > 0) {
+        entry.path = formatElementPath(el);
+        entry.boundaries = boundaries;
+      }
+      evidenceElements.set(entry, el);
+      return entry;
+    });
+}
+
+export function getEvidenceElement(entry) {
+  return entry && typeof entry === 'object' ? evidenceElements.get(entry) || null : null;
+}
+
+export function isSensitiveElement(element, selectors = SENSITIVE_SELECTORS) {
+  if (!element || element.nodeType !== 1) {
+    return false;
+  }
+  if (element.localName === 'input' && (element.getAttribute('type') || '').toLowerCase() === 'password') {
+    return true;
+  }
+  return selectors.some(selector => {
+    try {
+      return Boolean(element.closest(selector));
+    } catch (_) {
+      // an invalid custom selector never matches
+      return false;
+    }
+  });
+}
+
+export function getElementWindow(element) {
+  return element?.ownerDocument?.defaultView || window;
+}
+
+export function collectElementsDeep(root = document) {
+  const elements = [];
+  walkDeep(root, element => {
+    elements.push(element);
+  });
+  return elements;
+}
+
+export function deepQuerySelectorAll(selector, root = document) {
+  const segments = splitBoundarySelector(selector);
+  let scopes = [root];
+
+  segments.forEach((segment, index) => {
+    const matches = new Set();
+    scopes.forEach(scope => {
+      collectElementsDeep(scope).forEach(el => {
+        if (el.matches(segment)) {
+          matches.add(el);
+        }
+      });
     });
+
+    if (index === segments.length - 1) {
+      scopes = Array.from(matches);
+      return;
+    }
+
+    scopes = Array.from(matches).map(getInnerRoot).filter(Boolean);
+  });
+
+  return scopes;
+}
+
+export function deepQuerySelector(selector, root = document) {
+  if (!selector.includes(BOUNDARY_COMBINATOR)) {
+    const direct = root.querySelector(selector);
+    if (direct) {
+      return direct;
+    }
+  }
+
+  return deepQuerySelectorAll(selector, root)[0] || null;
+}
+
+export function getElementBoundaries(element) {
+  const boundaries = [];
+  let current = element;
+
+  while (current) {
+    const rootNode = current.getRootNode();
+    if (isShadowRoot(rootNode)) {
+      boundaries.unshift({ type: 'shadow', host: describeElement(rootNode.host) });
+      current = rootNode.host;
+      continue;
+    }
+
+    const frameElement = getFrameElement(current);
+    if (frameElement) {
+      boundaries.unshift({ type: 'frame', host: describeElement(frameElement), src: frameElement.getAttribute('src') || '' });
+      current = frameElement;
+      continue;
+    }
+
+    current = null;
+  }
+
+  return boundaries;
+}
+
+export function formatElementPath(element) {
+  const hosts = getElementBoundaries(element).map(boundary => boundary.host);
+  return [...hosts, describeElement(element)].join(` ${BOUNDARY_COMBINATOR} `);
+}
+
+export function buildSelectorPath(element) {
+  if (!element || element.nodeType !== 1) {
+    return null;
+  }
+
+  const segments = [];
+  let current = element;
+
+  while (current) {
+    segments.unshift(buildLocalSelector(current));
+    const rootNode = current.getRootNode();
+    if (isShadowRoot(rootNode)) {
+      current = rootNode.host;
+      continue;
+    }
+    current = getFrameElement(current);
+  }
+
+  return segments.join(` ${BOUNDARY_COMBINATOR} `);
+}
+
+export function getFrameOffset(element) {
+  let x = 0;
+  let y = 0;
+  let frameElement = getFrameElement(element);
+
+  while (frameElement) {
+    const rect = frameElement.getBoundingClientRect();
+    x += rect.left + (frameElement.clientLeft || 0);
+    y += rect.top + (frameElement.clientTop || 0);
+    frameElement = getFrameElement(frameElement);
+  }
+
+  return { x, y };
+}
+
+export function scrollByDelta(target, left, top) {
+  if (typeof target.scrollBy === 'function') {
+    target.scrollBy({ left, top, behavior: 'auto' });
+    return;
+  }
+  target.scrollLeft += left;
+  target.scrollTop += top;
+}
+
+function buildLocalSelector(element) {
+  const rootNode = element.getRootNode();
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === 1) {
+    if (current.id && rootNode.querySelectorAll(`#${cssEscape(current.id)}`).length === 1) {
+      parts.unshift(`#${cssEscape(current.id)}`);
+      break;
+    }
+
+    const tag = current.tagName.toLowerCase();
+    const parent = current.parentElement;
+    if (!parent) {
+      parts.unshift(tag);
+      break;
+    }
+
+    const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(current) + 1})` : tag);
+    current = parent;
+  }
+
+  return parts.join(' > ');
+}
+
+function cssEscape(value) {
+  if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
+    return CSS.escape(value);
+  }
+  return String(value).replace(/([^a-zA-Z0-9_-])/g, '\\$1');
+}
+
+function walkDeep(root, visit) {
+  root.querySelectorAll('*').forEach(element => {
+    visit(element);
+    const innerRoot = getInnerRoot(element);
+    if (innerRoot) {
+      walkDeep(innerRoot, visit);
+    }
+  });
+}
+
+function getInnerRoot(element) {
+  if (element.shadowRoot) {
+    return element.shadowRoot;
+  }
+
+  if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+    try {
+      return element.contentDocument || null;
+    } catch (_) {
+      // cross-origin frames are not accessible
+      return null;
+    }
+  }
+
+  return null;
+}
+
+function isShadowRoot(node) {
+  return Boolean(node) && node.nodeType === 11 && Boolean(node.host);
+}
+
+function getFrameElement(element) {
+  const view = getElementWindow(element);
+  if (view === window) {
+    return null;
+  }
+
+  try {
+    return view.frameElement || null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function splitBoundarySelector(selector) {
+  return selector
+    .split(BOUNDARY_COMBINATOR)
+    .map(segment => segment.trim())
+    .filter(Boolean);
 }
 
 function isElementInteractable(element, rect, style) {
@@ -92,12 +384,14 @@ function isElementInteractable(element, rect, style) {
 
   const centerX = rect.left + rect.width / 2;
   const centerY = rect.top + rect.height / 2;
-  const topElement = document.elementFromPoint(centerX, centerY);
+  const rootNode = element.getRootNode();
+  const hitRoot = typeof rootNode.elementFromPoint === 'function' ? rootNode : element.ownerDocument;
+  const topElement = hitRoot.elementFromPoint(centerX, centerY);
   return topElement === element || element.contains(topElement);
 }
 
 function describeElement(element) {
-  if (!(element instanceof Element)) {
+  if (!(element instanceof getElementWindow(element).Element)) {
     return 'unknown';
   }
 
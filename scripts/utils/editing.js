@@ -0,0 +1,177 @@
+import { getElementWindow } from './dom.js';
+
+const VALUE_PROTOTYPES = ['HTMLInputElement', 'HTMLTextAreaElement', 'HTMLSelectElement'];
+
+export function isValueElement(element) {
+  return Boolean(element) && 'value' in element && !element.isContentEditable;
+}
+
+export function setNativeValue(element, value) {
+  const view = getElementWindow(element);
+  const prototypeName = VALUE_PROTOTYPES.find(name => view[name] && element instanceof view[name]);
+  const descriptor = prototypeName
+    ? Object.getOwnPropertyDescriptor(view[prototypeName].prototype, 'value')
+    : null;
+
+  if (descriptor && typeof descriptor.set === 'function') {
+    descriptor.set.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+export function readValue(element) {
+  if (isValueElement(element)) {
+    return element.value ?? '';
+  }
+  return element.textContent || '';
+}
+
+export function moveCaretToEnd(element) {
+  if (isValueElement(element)) {
+    const length = (element.value ?? '').length;
+    try {
+      element.setSelectionRange(length, length);
+    } catch (_) {
+      // some input types (email, number) do not support selection
+    }
+    return;
+  }
+
+  const selection = getElementWindow(element).getSelection();
+  if (!selection) {
+    return;
+  }
+  const range = element.ownerDocument.createRange();
+  range.selectNodeContents(element);
+  range.collapse(false);
+  selection.removeAllRanges();
+  selection.addRange(range);
+}
+
+export function insertText(element, data) {
+  if (isValueElement(element)) {
+    const currentValue = element.value ?? '';
+    const selectionStart = readSelection(element, 'selectionStart') ?? currentValue.length;
+    const selectionEnd = readSelection(element, 'selectionEnd') ?? currentValue.length;
+    const before = currentValue.slice(0, selectionStart);
+    const after = currentValue.slice(selectionEnd);
+    setNativeValue(element, `${before}${data}${after}`);
+    const newCaret = selectionStart + data.length;
+    try {
+      element.selectionStart = element.selectionEnd = newCaret;
+    } catch (_) {
+      // ignore selection errors for non-text inputs
+    }
+    return;
+  }
+
+  const range = getEditableRange(element);
+  if (!range) {
+    element.textContent = (element.textContent || '') + data;
+    return;
+  }
+
+  range.deleteContents();
+  const node = data === '\n'
+    ? element.ownerDocument.createElement('br')
+    : element.ownerDocument.createTextNode(data);
+  range.insertNode(node);
+  range.setStartAfter(node);
+  range.collapse(true);
+  element.normalize();
+  selectRange(element, range);
+}
+
+export function deleteBackward(element) {
+  if (isValueElement(element)) {
+    const value = element.value ?? '';
+    const selectionStart = readSelection(element, 'selectionStart') ?? value.length;
+    const selectionEnd = readSelection(element, 'selectionEnd') ?? value.length;
+    const start = selectionStart === selectionEnd ? Math.max(0, selectionStart - 1) : selectionStart;
+    if (start === selectionEnd) {
+      return;
+    }
+
+    setNativeValue(element, `${value.slice(0, start)}${value.slice(selectionEnd)}`);
+    try {
+      element.selectionStart = element.selectionEnd = start;
+    } catch (_) {
+      // ignore selection errors
+    }
+    return;
+  }
+
+  const selection = getElementWindow(element).getSelection();
+  const range = getEditableRange(element);
+  if (!range || !selection) {
+    element.textContent = (element.textContent || '').slice(0, -1);
+    return;
+  }
+
+  if (range.collapsed) {
+    if (typeof selection.modify === 'function') {
+      selectRange(element, range);
+      selection.modify('extend', 'backward', 'character');
+      if (selection.rangeCount > 0) {
+        selection.getRangeAt(0).deleteContents();
+      }
+      return;
+    }
+    const { startContainer, startOffset } = range;
+    if (startContainer.nodeType === 3 && startOffset > 0) {
+      range.setStart(startContainer, startOffset - 1);
+    } else {
+      element.textContent = (element.textContent || '').slice(0, -1);
+      moveCaretToEnd(element);
+      return;
+    }
+  }
+
+  range.deleteContents();
+  range.collapse(true);
+  selectRange(element, range);
+}
+
+export function clearValue(element) {
+  if (isValueElement(element)) {
+    setNativeValue(element, '');
+  } else {
+    element.textContent = '';
+  }
+}
+
+function readSelection(element, property) {
+  try {
+    return element[property];
+  } catch (_) {
+    return null;
+  }
+}
+
+function getEditableRange(element) {
+  const selection = getElementWindow(element).getSelection();
+  if (!selection) {
+    return null;
+  }
+
+  if (selection.rangeCount > 0) {
+    const current = selection.getRangeAt(0);
+    if (element.contains(current.commonAncestorContainer)) {
+      return current;
+    }
+  }
+
+  const range = element.ownerDocument.createRange();
+  range.selectNodeContents(element);
+  range.collapse(false);
+  return range;
+}
+
+function selectRange(element, range) {
+  const selection = getElementWindow(element).getSelection();
+  if (selection) {
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+}
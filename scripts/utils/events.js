@@ -0,0 +1,7 @@
+import { recordEvent } from './journal.js';
+
+export function emit(target, event) {
+  const result = target.dispatchEvent(event);
+  recordEvent(target, event);
+  return result;
+}
@@ -0,0 +1,139 @@
+import { SENSITIVE_SELECTORS, buildSelectorPath, isSensitiveElement } from './dom.js';
+
+const JOURNAL_VERSION = 1;
+const REDACTED = '[redacted]';
+const SENSITIVE_FIELDS = ['key', 'code', 'data'];
+
+let activeJournal = null;
+let journalOrigin = 0;
+
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+export function startJournal(options = {}) {
+  journalOrigin = now();
+  activeJournal = {
+    version: JOURNAL_VERSION,
+    startedAt: new Date().toISOString(),
+    url: typeof location !== 'undefined' ? location.href : '',
+    viewport: { width: window.innerWidth, height: window.innerHeight },
+    maxEntries: options.maxEntries ?? 5000,
+    redactSelectors: options.redactSelectors ?? SENSITIVE_SELECTORS,
+    truncated: false,
+    entries: []
+  };
+  return activeJournal;
+}
+
+export function stopJournal() {
+  const journal = activeJournal;
+  activeJournal = null;
+  return journal;
+}
+
+export function getJournal() {
+  return activeJournal;
+}
+
+export function isJournalActive() {
+  return activeJournal !== null;
+}
+
+export function exportJournal(journal = activeJournal) {
+  if (!journal) {
+    return null;
+  }
+  const { maxEntries, redactSelectors, ...serializable } = journal;
+  return JSON.stringify(serializable);
+}
+
+export function describeEventTarget(target) {
+  if (target === window) {
+    return 'window';
+  }
+  if (target && target.nodeType === 9) {
+    return 'document';
+  }
+  return buildSelectorPath(target) || 'unknown';
+}
+
+export function recordEvent(target, event) {
+  if (!activeJournal) {
+    return;
+  }
+
+  const entry = {
+    kind: 'event',
+    t: Math.round(now() - journalOrigin),
+    type: event.type,
+    eventClass: event.changedTouches ? 'TouchEvent' : event.constructor ? event.constructor.name : 'Event',
+    target: describeEventTarget(target)
+  };
+
+  ['clientX', 'clientY', 'button', 'buttons', 'pointerId', 'pointerType', 'pressure', 'key', 'code', 'shiftKey', 'altKey', 'ctrlKey', 'metaKey', 'data', 'inputType', 'deltaX', 'deltaY']
+    .forEach(field => {
+      if (event[field] !== undefined && event[field] !== null && event[field] !== '' && event[field] !== false) {
+        entry[field] = event[field];
+      }
+    });
+  if (isSensitiveElement(target, activeJournal.redactSelectors)) {
+    SENSITIVE_FIELDS.filter(field => entry[field] !== undefined).forEach(field => {
+      entry[field] = REDACTED;
+    });
+    entry.redacted = true;
+  }
+  if (event.changedTouches) {
+    entry.touches = Array.from(event.touches || [], summarizeTouch);
+    entry.changedTouches = Array.from(event.changedTouches, summarizeTouch);
+  }
+
+  appendEntry(entry);
+}
+
+export function recordScroll(target, left, top) {
+  if (!activeJournal) {
+    return;
+  }
+
+  appendEntry({
+    kind: 'scroll',
+    t: Math.round(now() - journalOrigin),
+    target: describeEventTarget(target),
+    left,
+    top
+  });
+}
+
+export function recordBoundary(action, phase, details = {}) {
+  if (!activeJournal) {
+    return;
+  }
+
+  appendEntry({
+    kind: 'action',
+    t: Math.round(now() - journalOrigin),
+    action,
+    phase,
+    ...details
+  });
+}
+
+function appendEntry(entry) {
+  if (activeJournal.entries.length >= activeJournal.maxEntries) {
+    activeJournal.truncated = true;
+    return;
+  }
+  activeJournal.entries.push(entry);
+}
+
+function summarizeTouch(touch) {
+  return {
+    identifier: touch.identifier,
+    clientX: touch.clientX,
+    clientY: touch.clientY,
+    radiusX: touch.radiusX,
+    radiusY: touch.radiusY,
+    force: touch.force
+  };
+}
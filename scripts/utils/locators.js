@@ -0,0 +1,256 @@
+import { AmbiguousTargetError } from '../errors.js';
+import {
+  collectElementsDeep,
+  deepQuerySelectorAll,
+  formatElementPath,
+  getAccessibleName,
+  getElementText,
+  isVisible
+} from './dom.js';
+
+const LOCATOR_KEYS = ['css', 'role', 'name', 'label', 'placeholder', 'text', 'nth', 'near'];
+const PREFIX_PATTERN = /^(css|role|text|label|placeholder)=(.*)$/s;
+const NEAR_DISTANCE_PX = 250;
+const MAX_LISTED_CANDIDATES = 10;
+
+const IMPLICIT_ROLES = [
+  ['button', 'button, input[type="button" i], input[type="submit" i], input[type="reset" i], input[type="image" i], summary'],
+  ['link', 'a[href], area[href]'],
+  ['checkbox', 'input[type="checkbox" i]'],
+  ['radio', 'input[type="radio" i]'],
+  ['searchbox', 'input[type="search" i]'],
+  ['spinbutton', 'input[type="number" i]'],
+  ['slider', 'input[type="range" i]'],
+  ['combobox', 'select:not([multiple]):not([size]), input[list]'],
+  ['listbox', 'select[multiple], select[size]'],
+  ['textbox', 'textarea, input:not([type]), input[type="text" i], input[type="email" i], input[type="tel" i], input[type="url" i]'],
+  ['option', 'option'],
+  ['heading', 'h1, h2, h3, h4, h5, h6'],
+  ['img', 'img[alt]:not([alt=""])'],
+  ['list', 'ul, ol'],
+  ['listitem', 'li'],
+  ['navigation', 'nav'],
+  ['main', 'main'],
+  ['dialog', 'dialog'],
+  ['form', 'form'],
+  ['table', 'table'],
+  ['row', 'tr'],
+  ['cell', 'td'],
+  ['columnheader', 'th'],
+  ['article', 'article'],
+  ['progressbar', 'progress']
+];
+
+export function isLocator(target) {
+  if (typeof target === 'string') {
+    return PREFIX_PATTERN.test(target);
+  }
+  return Boolean(target) && typeof target === 'object' && !target.nodeType
+    && LOCATOR_KEYS.some(key => target[key] !== undefined);
+}
+
+export function parseLocator(target) {
+  if (typeof target !== 'string') {
+    return target;
+  }
+
+  const [, strategy, raw] = target.match(PREFIX_PATTERN);
+  const value = raw.trim();
+  if (strategy === 'text' || strategy === 'label' || strategy === 'placeholder') {
+    return { [strategy]: parsePatternValue(value) };
+  }
+  return { [strategy]: value };
+}
+
+export function describeLocator(target) {
+  const locator = parseLocator(target);
+  return LOCATOR_KEYS
+    .filter(key => locator[key] !== undefined)
+    .map(key => {
+      const value = locator[key];
+      if (key === 'near') {
+        return `near(${describeAnchor(value)})`;
+      }
+      if (value instanceof RegExp || key === 'css' || key === 'role' || key === 'nth') {
+        return `${key}=${value}`;
+      }
+      return `${key}=${JSON.stringify(value)}`;
+    })
+    .join(' ');
+}
+
+export function locateAll(target, root = document) {
+  const locator = parseLocator(target);
+  validateLocator(locator);
+
+  let candidates = locator.css ? deepQuerySelectorAll(locator.css, root) : collectElementsDeep(root);
+  if (locator.role) {
+    candidates = candidates.filter(element => getRole(element) === locator.role);
+  }
+  if (locator.name !== undefined) {
+    candidates = candidates.filter(element => matchesText(getAccessibleName(element), locator.name, locator.exact));
+  }
+  if (locator.label !== undefined) {
+    candidates = candidates.filter(element => matchesLabel(element, locator.label, locator.exact));
+  }
+  if (locator.placeholder !== undefined) {
+    candidates = candidates.filter(element => matchesText(element.getAttribute('placeholder') || '', locator.placeholder, locator.exact));
+  }
+  if (locator.text !== undefined) {
+    candidates = innermost(candidates.filter(element => matchesText(getElementText(element), locator.text, locator.exact)));
+  }
+
+  if (locator.near !== undefined) {
+    candidates = sortByProximity(candidates, locator.near, root);
+  }
+  return candidates;
+}
+
+export function resolveLocator(target, root = document) {
+  const locator = parseLocator(target);
+  let candidates = locateAll(locator, root);
+  if (candidates.length > 1) {
+    const visible = candidates.filter(isVisible);
+    if (visible.length > 0) {
+      candidates = visible;
+    }
+  }
+
+  if (Number.isInteger(locator.nth)) {
+    const index = locator.nth < 0 ? candidates.length + locator.nth : locator.nth;
+    return candidates[index] || null;
+  }
+
+  if (candidates.length > 1 && locator.near !== undefined) {
+    const measured = measureProximity(candidates, locator.near, root);
+    candidates = measured
+      .filter(entry => entry.distance === measured[0].distance)
+      .map(entry => entry.element);
+  }
+
+  if (candidates.length > 1) {
+    throw new AmbiguousTargetError(
+      describeLocator(locator),
+      candidates.slice(0, MAX_LISTED_CANDIDATES).map(describeCandidate),
+      { count: candidates.length }
+    );
+  }
+  return candidates[0] || null;
+}
+
+function validateLocator(locator) {
+  if (!locator || typeof locator !== 'object') {
+    throw new TypeError('Locator must be an object or a prefixed string such as "text=Sign in"');
+  }
+  const unknown = Object.keys(locator).filter(key => !LOCATOR_KEYS.includes(key) && key !== 'exact');
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown locator field(s): ${unknown.join(', ')}`);
+  }
+  if (locator.nth !== undefined && !Number.isInteger(locator.nth)) {
+    throw new TypeError('Locator "nth" must be an integer');
+  }
+}
+
+function parsePatternValue(value) {
+  const regex = value.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+  const quoted = value.match(/^"(.*)"$/s);
+  return quoted ? quoted[1] : value;
+}
+
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+function matchesText(actual, expected, exact) {
+  const value = normalizeText(actual);
+  if (expected instanceof RegExp) {
+    return expected.test(value);
+  }
+  if (exact) {
+    return value === normalizeText(expected);
+  }
+  return value.toLowerCase().includes(normalizeText(expected).toLowerCase());
+}
+
+function matchesLabel(element, expected, exact) {
+  if (!('labels' in element) && !element.hasAttribute('aria-labelledby') && !element.hasAttribute('aria-label')) {
+    return false;
+  }
+  const labels = Array.from(element.labels || []).map(getElementText);
+  const ariaLabel = element.getAttribute('aria-label');
+  if (ariaLabel) {
+    labels.push(ariaLabel);
+  }
+  if (element.hasAttribute('aria-labelledby')) {
+    labels.push(getAccessibleName(element));
+  }
+  return labels.some(label => matchesText(label, expected, exact));
+}
+
+function innermost(elements) {
+  const set = new Set(elements);
+  return elements.filter(element => !Array.from(element.children).some(child => set.has(child)));
+}
+
+function getRole(element) {
+  const explicit = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicit) {
+    return explicit;
+  }
+  const implicit = IMPLICIT_ROLES.find(([, selector]) => element.matches(selector));
+  return implicit ? implicit[0] : null;
+}
+
+function sortByProximity(candidates, near, root) {
+  return measureProximity(candidates, near, root).map(entry => entry.element);
+}
+
+function measureProximity(candidates, near, root) {
+  const anchor = resolveAnchor(near, root);
+  if (!anchor) {
+    return [];
+  }
+
+  const maxDistance = near && typeof near === 'object' && Number.isFinite(near.maxDistancePx)
+    ? near.maxDistancePx
+    : NEAR_DISTANCE_PX;
+  const anchorRect = anchor.getBoundingClientRect();
+  return candidates
+    .filter(element => element !== anchor && !element.contains(anchor))
+    .map(element => ({ element, distance: rectDistance(anchorRect, element.getBoundingClientRect()) }))
+    .filter(entry => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+}
+
+function resolveAnchor(near, root) {
+  const anchor = near && typeof near === 'object' && near.locator !== undefined ? near.locator : near;
+  if (typeof anchor === 'string' && !isLocator(anchor)) {
+    return deepQuerySelectorAll(anchor, root)[0] || null;
+  }
+  if (isLocator(anchor)) {
+    return resolveLocator(anchor, root);
+  }
+  return anchor && anchor.nodeType === 1 ? anchor : null;
+}
+
+function describeAnchor(near) {
+  const anchor = near && typeof near === 'object' && near.locator !== undefined ? near.locator : near;
+  if (isLocator(anchor)) {
+    return describeLocator(anchor);
+  }
+  return typeof anchor === 'string' ? anchor : formatElementPath(anchor);
+}
+
+function rectDistance(a, b) {
+  const dx = Math.max(0, a.left - b.right, b.left - a.right);
+  const dy = Math.max(0, a.top - b.bottom, b.top - a.bottom);
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function describeCandidate(element) {
+  const text = normalizeText(getAccessibleName(element)).slice(0, 60);
+  return text ? `${formatElementPath(element)} "${text}"` : formatElementPath(element);
+}
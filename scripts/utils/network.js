@@ -0,0 +1,89 @@
+const TRACKED_INITIATORS = ['fetch', 'xmlhttprequest'];
+
+const tracker = {
+  installed: false,
+  pending: 0,
+  started: 0,
+  lastActivity: 0
+};
+
+export function startNetworkTracking(view = window) {
+  if (tracker.installed) {
+    return;
+  }
+  tracker.installed = true;
+  tracker.lastActivity = Date.now();
+  observeEarlierRequests(view);
+
+  if (typeof view.fetch === 'function') {
+    const originalFetch = view.fetch;
+    view.fetch = function trackedFetch(...args) {
+      const finish = beginRequest();
+      let request;
+      try {
+        request = originalFetch.apply(this, args);
+      } catch (error) {
+        finish();
+        throw error;
+      }
+      return Promise.resolve(request).finally(finish);
+    };
+  }
+
+  if (typeof view.XMLHttpRequest === 'function') {
+    const originalSend = view.XMLHttpRequest.prototype.send;
+    view.XMLHttpRequest.prototype.send = function trackedSend(...args) {
+      const finish = beginRequest();
+      this.addEventListener('loadend', finish, { once: true });
+      try {
+        return originalSend.apply(this, args);
+      } catch (error) {
+        finish();
+        throw error;
+      }
+    };
+  }
+}
+
+export function getNetworkActivity() {
+  return {
+    tracking: tracker.installed,
+    pending: tracker.pending,
+    started: tracker.started,
+    idleMs: tracker.pending > 0 ? 0 : Date.now() - tracker.lastActivity
+  };
+}
+
+function observeEarlierRequests(view) {
+  if (typeof view.PerformanceObserver !== 'function' || !view.performance) {
+    return;
+  }
+  const installedAt = view.performance.now();
+  try {
+    new view.PerformanceObserver(list => {
+      const finished = list.getEntries().some(entry => TRACKED_INITIATORS.includes(entry.initiatorType)
+        && entry.startTime < installedAt && entry.responseEnd > installedAt);
+      if (finished) {
+        tracker.lastActivity = Date.now();
+      }
+    }).observe({ type: 'resource', buffered: true });
+  } catch (_) {
+    // resource timing is unavailable; only patched requests are tracked
+  }
+}
+
+function beginRequest() {
+  let finished = false;
+  tracker.pending += 1;
+  tracker.started += 1;
+  tracker.lastActivity = Date.now();
+
+  return () => {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    tracker.pending = Math.max(0, tracker.pending - 1);
+    tracker.lastActivity = Date.now();
+  };
+}
@@ -0,0 +1,40 @@
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+
+  if (typeof seed === 'string' && seed.length > 0) {
+    let hash = 2166136261;
+    for (let i = 0; i < seed.length; i += 1) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  return null;
+}
+
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+export function createRandom(seed) {
+  let state = normalizeSeed(seed) ?? generateSeed();
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
+
+export function resolveRandomSource(options = {}) {
+  if (typeof options.random === 'function') {
+    return { seed: options.seed ?? null, random: options.random };
+  }
+
+  const seed = normalizeSeed(options.seed) ?? generateSeed();
+  return { seed, random: createRandom(seed) };
+}
@@ -0,0 +1,214 @@
+import { collectEvidence } from './dom.js';
+
+const SIGNAL_TYPES = ['global', 'bodyStyle'];
+
+export function normalizeDetectorDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new TypeError('Detector definition must be an object');
+  }
+
+  const name = definition.name;
+  if (typeof name !== 'string' || name.length === 0) {
+    throw new TypeError('Detector definition requires a name');
+  }
+
+  const threshold = Number(definition.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+    throw new TypeError(`Detector "${name}" requires a threshold between 0 and 1`);
+  }
+
+  if (!Array.isArray(definition.rules)) {
+    throw new TypeError(`Detector "${name}" requires a rules array`);
+  }
+
+  return {
+    name,
+    reason: definition.reason || name,
+    severity: Number(definition.severity) || 0,
+    threshold,
+    rules: definition.rules.map((rule, index) => normalizeRule(name, rule, index)),
+    signals: (definition.signals || []).map((signal, index) => normalizeSignal(name, signal, index))
+  };
+}
+
+export function evaluateDetector(definition, context) {
+  const matches = [];
+  const supporting = [];
+  const visited = { scoring: new Set(), supporting: new Set() };
+  let score = 0;
+
+  const track = (element, weight, annotations, pending, seen) => {
+    if (!element || seen.has(element) || !context.isVisible(element)) {
+      return;
+    }
+    seen.add(element);
+    pending.push({ element, weight, annotations });
+  };
+
+  definition.rules.forEach(rule => {
+    const candidates = [];
+    rule.selectors.forEach(selector => {
+      context.query(selector).forEach(el => {
+        if (candidates.some(candidate => candidate.element === el)) {
+          return;
+        }
+        const annotations = matchRule(rule, el, context);
+        if (annotations) {
+          candidates.push({ element: el, annotations });
+        }
+      });
+    });
+
+    const kept = rule.innermost
+      ? candidates.filter(candidate => !candidates.some(other => other !== candidate
+        && candidate.element.contains(other.element)))
+      : candidates;
+    const pending = [];
+    const seen = rule.supporting ? visited.supporting : visited.scoring;
+    kept.forEach(candidate => {
+      if (pending.length < rule.maxMatches) {
+        track(candidate.element, rule.weight, candidate.annotations, pending, seen);
+      }
+    });
+    (rule.supporting ? supporting : matches).push(...pending);
+  });
+
+  definition.signals.forEach(signal => {
+    if (evaluateSignal(signal)) {
+      score += signal.weight;
+    }
+  });
+
+  if (matches.length > 0 || score > 0) {
+    matches.push(...supporting);
+  }
+  score += matches.reduce((sum, match) => sum + match.weight, 0);
+
+  const confidence = Math.min(1, score);
+  const unique = matches.filter((match, index) => matches.findIndex(other => other.element === match.element) === index);
+  const evidence = collectEvidence(unique.map(match => match.element))
+    .map((entry, index) => Object.assign(entry, unique[index].annotations));
+
+  return {
+    detected: confidence >= definition.threshold,
+    confidence: Number(confidence.toFixed(2)),
+    reason: definition.reason,
+    evidence
+  };
+}
+
+function matchRule(rule, element, context) {
+  if (!context.isVisible(element)) {
+    return null;
+  }
+
+  const annotations = {};
+  if (rule.keywords || rule.textPatterns.length > 0) {
+    const locale = rule.keywords ? context.matchKeywords(element, rule.keywords) : null;
+    if (locale) {
+      annotations.locale = locale;
+    } else if (!context.containsText(element, rule.textPatterns)) {
+      return null;
+    }
+  }
+
+  if (rule.within && !rule.within.some(selector => element.closest(selector))) {
+    return null;
+  }
+
+  if (rule.minAreaRatio !== null || rule.maxAreaRatio !== null) {
+    const { areaRatio } = context.getVisibilityMetrics(element);
+    if (rule.minAreaRatio !== null && areaRatio < rule.minAreaRatio) {
+      return null;
+    }
+    if (rule.maxAreaRatio !== null && areaRatio > rule.maxAreaRatio) {
+      return null;
+    }
+  }
+
+  return annotations;
+}
+
+function evaluateSignal(signal) {
+  if (signal.type === 'global') {
+    return signal.names.some(name => Boolean(window[name]));
+  }
+
+  if (signal.type === 'bodyStyle') {
+    return Boolean(document.body) && window.getComputedStyle(document.body)[signal.property] === signal.value;
+  }
+
+  return false;
+}
+
+function normalizeRule(detectorName, rule, index) {
+  const selectors = typeof rule?.selectors === 'string' ? [rule.selectors] : rule?.selectors;
+  if (!Array.isArray(selectors) || selectors.length === 0) {
+    throw new TypeError(`Detector "${detectorName}" rule ${index} requires at least one selector`);
+  }
+  const within = typeof rule.within === 'string' ? [rule.within] : Array.isArray(rule.within) ? rule.within : null;
+  [...selectors, ...(within || [])].forEach(selector => validateSelector(detectorName, index, selector));
+
+  const weight = Number(rule.weight);
+  if (!Number.isFinite(weight)) {
+    throw new TypeError(`Detector "${detectorName}" rule ${index} requires a numeric weight`);
+  }
+
+  return {
+    selectors,
+    weight,
+    textPatterns: (rule.textPatterns || []).map(compilePattern),
+    keywords: typeof rule.keywords === 'string' ? rule.keywords : null,
+    minAreaRatio: Number.isFinite(rule.minAreaRatio) ? rule.minAreaRatio : null,
+    maxAreaRatio: Number.isFinite(rule.maxAreaRatio) ? rule.maxAreaRatio : null,
+    within,
+    innermost: rule.innermost === true,
+    maxMatches: Number.isInteger(rule.maxMatches) && rule.maxMatches > 0 ? rule.maxMatches : Infinity,
+    supporting: rule.supporting === true
+  };
+}
+
+function validateSelector(detectorName, index, selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+  } catch (_) {
+    throw new TypeError(`Detector "${detectorName}" rule ${index} has an invalid selector "${selector}"`);
+  }
+}
+
+function normalizeSignal(detectorName, signal, index) {
+  if (!SIGNAL_TYPES.includes(signal?.type)) {
+    throw new TypeError(`Detector "${detectorName}" signal ${index} has unknown type "${signal?.type}"`);
+  }
+
+  if (signal.type === 'global' && !Array.isArray(signal.names)) {
+    throw new TypeError(`Detector "${detectorName}" signal ${index} requires a names array`);
+  }
+
+  if (signal.type === 'bodyStyle' && typeof signal.property !== 'string') {
+    throw new TypeError(`Detector "${detectorName}" signal ${index} requires a style property`);
+  }
+
+  const weight = Number(signal.weight);
+  if (!Number.isFinite(weight)) {
+    throw new TypeError(`Detector "${detectorName}" signal ${index} requires a numeric weight`);
+  }
+
+  return { ...signal, weight };
+}
+
+function compilePattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  if (typeof pattern === 'string') {
+    return new RegExp(pattern, 'i');
+  }
+
+  if (pattern && typeof pattern.source === 'string') {
+    return new RegExp(pattern.source, pattern.flags ?? 'i');
+  }
+
+  throw new TypeError(`Invalid text pattern: ${String(pattern)}`);
+}
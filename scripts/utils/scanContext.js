@@ -0,0 +1,67 @@
+import { getKeywordPatterns, resolveLocales } from '../keywordPacks.js';
+import { collectElementsDeep, getElementText, getVisibilityMetrics, isVisible } from './dom.js';
+
+export function createScanContext(root = document, options = {}) {
+  const locales = resolveLocales(options.locale);
+  const elements = root.nodeType === 1 ? [root, ...collectElementsDeep(root)] : collectElementsDeep(root);
+  const queryCache = new Map();
+  const visibilityCache = new WeakMap();
+  const metricsCache = new WeakMap();
+  const textCache = new WeakMap();
+
+  const query = selector => {
+    if (!queryCache.has(selector)) {
+      queryCache.set(selector, elements.filter(el => el.matches(selector)));
+    }
+    return queryCache.get(selector);
+  };
+
+  const visible = element => {
+    if (!element) {
+      return false;
+    }
+    if (!visibilityCache.has(element)) {
+      visibilityCache.set(element, isVisible(element));
+    }
+    return visibilityCache.get(element);
+  };
+
+  const metrics = element => {
+    if (!metricsCache.has(element)) {
+      metricsCache.set(element, getVisibilityMetrics(element));
+    }
+    return metricsCache.get(element);
+  };
+
+  const text = element => {
+    if (!textCache.has(element)) {
+      textCache.set(element, getElementText(element));
+    }
+    return textCache.get(element);
+  };
+
+  const containsText = (element, patterns) => {
+    const value = element ? text(element) : '';
+    return value.length > 0 && patterns.some(pattern => pattern.test(value));
+  };
+
+  const matchKeywords = (element, group) => {
+    const value = element ? text(element) : '';
+    if (!value) {
+      return null;
+    }
+    return locales.find(locale => getKeywordPatterns(locale, group).some(pattern => pattern.test(value))) || null;
+  };
+
+  return {
+    root,
+    elements,
+    locales,
+    query,
+    isVisible: visible,
+    getVisibilityMetrics: metrics,
+    getText: text,
+    containsText,
+    matchKeywords
+  };
+}
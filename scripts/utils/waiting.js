@@ -0,0 +1,88 @@
+export function waitForCondition(evaluate, options = {}) {
+  const timeoutMs = options.timeoutMs ?? 5000;
+  const pollMs = Math.max(10, options.pollMs ?? 50);
+  const root = options.root || document;
+  const signal = options.signal || null;
+  const start = Date.now();
+
+  return new Promise((resolve, reject) => {
+    let observer = null;
+    let pollTimer = null;
+    let timeoutTimer = null;
+    let settled = false;
+    let last = null;
+
+    const cleanup = () => {
+      settled = true;
+      clearInterval(pollTimer);
+      clearTimeout(timeoutTimer);
+      if (observer) {
+        observer.disconnect();
+      }
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+
+    const finish = satisfied => {
+      if (settled) {
+        return;
+      }
+      cleanup();
+      resolve({ satisfied, value: last, elapsedMs: Date.now() - start });
+    };
+
+    const fail = error => {
+      if (settled) {
+        return;
+      }
+      cleanup();
+      reject(error);
+    };
+
+    const onAbort = () => fail(signal.reason);
+
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const check = () => {
+      if (settled) {
+        return;
+      }
+      let outcome;
+      try {
+        outcome = evaluate();
+      } catch (error) {
+        fail(error);
+        return;
+      }
+      last = outcome.value;
+      if (outcome.done) {
+        finish(true);
+      }
+    };
+
+    check();
+    if (settled) {
+      return;
+    }
+
+    if (typeof MutationObserver === 'function') {
+      observer = new MutationObserver(check);
+      observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    pollTimer = setInterval(check, pollMs);
+    timeoutTimer = setTimeout(() => {
+      try {
+        check();
+      } finally {
+        finish(false);
+      }
+    }, timeoutMs);
+  });
+}
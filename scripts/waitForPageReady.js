@@ -0,0 +1,251 @@
+import { runDetector } from './detectorRegistry.js';
+import { ActionTimeoutError } from './errors.js';
+import { describeTarget, resolveTarget } from './utils/actionability.js';
+import { runAction } from './utils/actionRunner.js';
+import { formatElementPath, isVisible } from './utils/dom.js';
+import { getNetworkActivity, startNetworkTracking } from './utils/network.js';
+import { createScanContext } from './utils/scanContext.js';
+import { waitForCondition } from './utils/waiting.js';
+
+const READY_STATES = ['loading', 'interactive', 'complete'];
+const PAGE_CONDITIONS = ['readyState', 'domQuiet', 'networkIdle', 'layoutStable'];
+const SELECTOR_STATES = ['attached', 'visible', 'hidden', 'detached'];
+const LAYOUT_SAMPLE_SIZE = 25;
+
+if (typeof window !== 'undefined') {
+  startNetworkTracking();
+}
+
+const defaultReadyOptions = {
+  conditions: PAGE_CONDITIONS,
+  readyState: 'complete',
+  quietMs: 500,
+  networkIdleMs: 500,
+  maxInflight: 0,
+  layoutStableMs: 300,
+  timeoutMs: 10000,
+  pollMs: 50
+};
+
+const defaultSelectorOptions = {
+  state: 'visible',
+  timeoutMs: 5000,
+  pollMs: 50
+};
+
+const defaultDetectorOptions = {
+  expect: 'detected',
+  minConfidence: null,
+  locale: null,
+  timeoutMs: 5000,
+  pollMs: 250
+};
+
+export function waitForPageReady(options = {}) {
+  return runAction('waitForPageReady', run => performWaitForPageReady(run, options), { ...options, timeoutMs: 0 });
+}
+
+async function performWaitForPageReady(run, options) {
+  const settings = { ...defaultReadyOptions, ...options };
+  const unknown = settings.conditions.filter(condition => !PAGE_CONDITIONS.includes(condition));
+  if (unknown.length > 0) {
+    throw new TypeError(`Unknown readiness condition(s): ${unknown.join(', ')}`);
+  }
+  if (!READY_STATES.includes(settings.readyState)) {
+    throw new TypeError(`Unknown readyState "${settings.readyState}"`);
+  }
+
+  const monitor = createActivityMonitor(document);
+
+  try {
+    const outcome = await waitForCondition(() => {
+      const conditions = evaluatePageConditions(settings, monitor);
+      run.progress.conditions = conditions;
+      return { done: Object.values(conditions).every(condition => condition.held), value: conditions };
+    }, { timeoutMs: settings.timeoutMs, pollMs: settings.pollMs, signal: run.signal });
+
+    if (!outcome.satisfied) {
+      const pending = Object.keys(outcome.value).filter(name => !outcome.value[name].held);
+      throw new ActionTimeoutError('waitForPageReady', settings.timeoutMs, { condition: pending[0], pending, conditions: outcome.value });
+    }
+    return { ready: true, waitedMs: outcome.elapsedMs, conditions: outcome.value };
+  } finally {
+    monitor.disconnect();
+  }
+}
+
+export function waitForSelector(selector, options = {}) {
+  return runAction('waitForSelector', run => performWaitForSelector(run, selector, options), { ...options, timeoutMs: 0 });
+}
+
+async function performWaitForSelector(run, selector, options) {
+  const settings = { ...defaultSelectorOptions, ...options };
+  if (!SELECTOR_STATES.includes(settings.state)) {
+    throw new TypeError(`Unknown selector state "${settings.state}"`);
+  }
+
+  const outcome = await waitForCondition(() => {
+    const element = resolveTarget(selector);
+    const observed = { attached: Boolean(element), visible: Boolean(element) && isVisible(element) };
+    run.progress.observed = observed;
+    return { done: selectorStateHolds(settings.state, observed), value: { element, observed } };
+  }, { timeoutMs: settings.timeoutMs, pollMs: settings.pollMs, signal: run.signal });
+
+  const { element, observed } = outcome.value;
+  if (!outcome.satisfied) {
+    throw new ActionTimeoutError('waitForSelector', settings.timeoutMs, {
+      condition: settings.state,
+      selector: describeTarget(selector, element),
+      observed
+    });
+  }
+  return {
+    matched: true,
+    condition: settings.state,
+    selector: describeTarget(selector, element),
+    target: element ? formatElementPath(element) : null,
+    waitedMs: outcome.elapsedMs
+  };
+}
+
+export function waitForDetector(name, options = {}) {
+  return runAction('waitForDetector', run => performWaitForDetector(run, name, options), { ...options, timeoutMs: 0 });
+}
+
+async function performWaitForDetector(run, name, options) {
+  const settings = { ...defaultDetectorOptions, ...options };
+  if (settings.expect !== 'detected' && settings.expect !== 'clear') {
+    throw new TypeError(`Unknown detector expectation "${settings.expect}"`);
+  }
+
+  let lastRun = 0;
+  let last = runDetector(name, createScanContext(document, { locale: settings.locale }));
+  const outcome = await waitForCondition(() => {
+    const now = Date.now();
+    if (now - lastRun >= settings.pollMs) {
+      lastRun = now;
+      last = runDetector(name, createScanContext(document, { locale: settings.locale }));
+      run.progress.confidence = last.confidence;
+    }
+    return { done: detectorHolds(settings, last), value: last };
+  }, { timeoutMs: settings.timeoutMs, pollMs: settings.pollMs, signal: run.signal });
+
+  const result = outcome.value;
+  if (!outcome.satisfied) {
+    throw new ActionTimeoutError('waitForDetector', settings.timeoutMs, {
+      condition: settings.expect,
+      detector: name,
+      confidence: result.confidence
+    });
+  }
+  return {
+    condition: settings.expect,
+    detector: name,
+    detected: result.detected,
+    confidence: result.confidence,
+    evidence: result.evidence,
+    waitedMs: outcome.elapsedMs
+  };
+}
+
+function evaluatePageConditions(settings, monitor) {
+  const conditions = {};
+  const now = Date.now();
+
+  if (settings.conditions.includes('readyState')) {
+    const state = document.readyState;
+    conditions.readyState = {
+      held: READY_STATES.indexOf(state) >= READY_STATES.indexOf(settings.readyState),
+      value: state
+    };
+  }
+
+  if (settings.conditions.includes('domQuiet')) {
+    const quietMs = now - monitor.lastMutation;
+    conditions.domQuiet = { held: quietMs >= settings.quietMs, quietMs, mutations: monitor.mutations };
+  }
+
+  if (settings.conditions.includes('networkIdle')) {
+    const activity = getNetworkActivity();
+    conditions.networkIdle = {
+      held: activity.pending <= settings.maxInflight && activity.idleMs >= settings.networkIdleMs,
+      pending: activity.pending,
+      idleMs: activity.idleMs
+    };
+  }
+
+  if (settings.conditions.includes('layoutStable')) {
+    const stableMs = monitor.sampleLayout(now);
+    conditions.layoutStable = { held: stableMs >= settings.layoutStableMs, stableMs };
+  }
+
+  return conditions;
+}
+
+function createActivityMonitor(root) {
+  const start = Date.now();
+  const monitor = {
+    lastMutation: start,
+    mutations: 0,
+    layout: null,
+    layoutSince: start,
+    sampleLayout(now) {
+      const signature = layoutSignature(root);
+      if (signature !== monitor.layout) {
+        monitor.layout = signature;
+        monitor.layoutSince = now;
+      }
+      return now - monitor.layoutSince;
+    },
+    disconnect() {
+      if (observer) {
+        observer.disconnect();
+      }
+    }
+  };
+
+  const observer = typeof MutationObserver === 'function'
+    ? new MutationObserver(records => {
+      monitor.mutations += records.length;
+      monitor.lastMutation = Date.now();
+    })
+    : null;
+  if (observer) {
+    observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+  }
+
+  return monitor;
+}
+
+function layoutSignature(root) {
+  const documentElement = root.documentElement;
+  const parts = [documentElement.scrollWidth, documentElement.scrollHeight];
+  const body = root.body;
+  if (body) {
+    Array.from(body.children).slice(0, LAYOUT_SAMPLE_SIZE).forEach(child => {
+      const rect = child.getBoundingClientRect();
+      parts.push(Math.round(rect.left), Math.round(rect.top), Math.round(rect.width), Math.round(rect.height));
+    });
+  }
+  return parts.join(',');
+}
+
+function selectorStateHolds(state, observed) {
+  switch (state) {
+    case 'attached':
+      return observed.attached;
+    case 'detached':
+      return !observed.attached;
+    case 'hidden':
+      return !observed.visible;
+    default:
+      return observed.visible;
+  }
+}
+
+function detectorHolds(settings, result) {
+  const detected = settings.minConfidence === null
+    ? result.detected
+    : result.confidence >= settings.minConfidence;
+  return settings.expect === 'detected' ? detected : !detected;
+}
@@ -0,0 +1,197 @@
+import { getDetector, listDetectors } from './detectorRegistry.js';
+import { abortActiveActions, getActiveActions, pauseActions, resumeActions } from './utils/actionRunner.js';
+import { evaluateDetector } from './utils/ruleEngine.js';
+import { createScanContext } from './utils/scanContext.js';
+
+const WATCH_EVENTS = ['appear', 'clear', 'change'];
+const INTERRUPT_MODES = ['none', 'pause', 'abort'];
+
+const defaultWatchOptions = {
+  detectors: null,
+  locale: null,
+  minConfidence: null,
+  debounceMs: 150,
+  maxWaitMs: 1000,
+  pollMs: 0,
+  interrupt: 'none',
+  root: null
+};
+
+export function watchPageState(options = {}) {
+  const settings = { ...defaultWatchOptions, ...options };
+  if (!INTERRUPT_MODES.includes(settings.interrupt)) {
+    throw new TypeError(`Unknown interrupt mode "${settings.interrupt}"`);
+  }
+  if (settings.detectors) {
+    const unknown = settings.detectors.filter(name => !getDetector(name));
+    if (unknown.length > 0) {
+      throw new TypeError(`Unknown detector(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  const root = settings.root || document;
+  const listeners = { appear: new Set(), clear: new Set(), change: new Set() };
+  const active = new Map();
+  let evaluations = 0;
+  let watching = true;
+  let pausedByWatcher = false;
+  let debounceTimer = null;
+  let pendingSince = 0;
+
+  WATCH_EVENTS.forEach(type => {
+    const handler = settings[`on${type.charAt(0).toUpperCase()}${type.slice(1)}`];
+    if (typeof handler === 'function') {
+      listeners[type].add(handler);
+    }
+  });
+
+  const emit = (type, payload) => {
+    listeners[type].forEach(handler => {
+      try {
+        handler(payload);
+      } catch (_) {
+        // a failing listener must not stop the watcher
+      }
+    });
+  };
+
+  const snapshot = () => ({
+    watching,
+    evaluations,
+    paused: pausedByWatcher,
+    active: Array.from(active.entries()).map(([detector, entry]) => ({
+      detector,
+      confidence: entry.confidence,
+      since: new Date(entry.since).toISOString()
+    }))
+  });
+
+  const interrupt = (detector, result) => {
+    const reason = `${detector} appeared`;
+    if (settings.interrupt === 'abort') {
+      const actions = abortActiveActions(reason, { interruptedBy: detector, confidence: result.confidence });
+      return actions.length > 0 ? { mode: 'abort', actions } : null;
+    }
+    if (settings.interrupt === 'pause') {
+      if (pauseActions(reason)) {
+        pausedByWatcher = true;
+      }
+      const actions = getActiveActions().filter(entry => entry.paused).map(entry => entry.action);
+      return pausedByWatcher ? { mode: 'pause', actions } : null;
+    }
+    return null;
+  };
+
+  const evaluate = () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = null;
+    pendingSince = 0;
+    if (!watching) {
+      return snapshot();
+    }
+
+    evaluations += 1;
+    const context = createScanContext(root, { locale: settings.locale });
+    const definitions = settings.detectors ? settings.detectors.map(getDetector).filter(Boolean) : listDetectors();
+    const at = new Date().toISOString();
+    const appeared = [];
+    const cleared = [];
+
+    definitions.forEach(definition => {
+      const result = evaluateDetector(definition, context);
+      const detected = settings.minConfidence === null ? result.detected : result.confidence >= settings.minConfidence;
+      const previous = active.get(definition.name);
+
+      if (detected && !previous) {
+        active.set(definition.name, { since: Date.now(), confidence: result.confidence });
+        appeared.push({ detector: definition.name, result, locales: context.locales });
+      } else if (detected) {
+        previous.confidence = result.confidence;
+      } else if (previous) {
+        active.delete(definition.name);
+        cleared.push({ detector: definition.name, confidence: result.confidence, visibleMs: Date.now() - previous.since });
+      }
+    });
+
+    appeared.forEach(({ detector, result, locales }) => {
+      emit('appear', {
+        type: 'appear',
+        detector,
+        confidence: result.confidence,
+        evidence: result.evidence,
+        locales,
+        url: typeof location !== 'undefined' ? location.href : '',
+        at,
+        interrupted: interrupt(detector, result)
+      });
+    });
+
+    const resumed = cleared.length > 0 && active.size === 0 && pausedByWatcher;
+    if (resumed) {
+      pausedByWatcher = false;
+      resumeActions();
+    }
+    cleared.forEach(({ detector, confidence, visibleMs }) => {
+      emit('clear', { type: 'clear', detector, confidence, visibleMs, at, resumed });
+    });
+
+    if (appeared.length > 0 || cleared.length > 0) {
+      emit('change', {
+        type: 'change',
+        active: Array.from(active.keys()),
+        appeared: appeared.map(entry => entry.detector),
+        cleared: cleared.map(entry => entry.detector),
+        at
+      });
+    }
+    return snapshot();
+  };
+
+  const schedule = () => {
+    if (!watching) {
+      return;
+    }
+    const now = Date.now();
+    if (!pendingSince) {
+      pendingSince = now;
+    }
+    clearTimeout(debounceTimer);
+    const delay = Math.min(settings.debounceMs, Math.max(0, settings.maxWaitMs - (now - pendingSince)));
+    debounceTimer = setTimeout(evaluate, delay);
+  };
+
+  const observer = typeof MutationObserver === 'function' ? new MutationObserver(schedule) : null;
+  if (observer) {
+    observer.observe(root, { subtree: true, childList: true, attributes: true, characterData: true });
+  }
+  const pollTimer = settings.pollMs > 0 ? setInterval(schedule, settings.pollMs) : null;
+  Promise.resolve().then(evaluate);
+
+  return {
+    on(type, handler) {
+      if (!WATCH_EVENTS.includes(type)) {
+        throw new TypeError(`Unknown watcher event "${type}"`);
+      }
+      listeners[type].add(handler);
+      return () => listeners[type].delete(handler);
+    },
+    check: evaluate,
+    getState: snapshot,
+    stop() {
+      if (!watching) {
+        return snapshot();
+      }
+      watching = false;
+      clearTimeout(debounceTimer);
+      clearInterval(pollTimer);
+      if (observer) {
+        observer.disconnect();
+      }
+      if (pausedByWatcher) {
+        pausedByWatcher = false;
+        resumeActions();
+      }
+      return snapshot();
+    }
+  };
+}
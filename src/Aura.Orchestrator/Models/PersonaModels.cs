@@ -27,6 +27,9 @@ public sealed class HumanLikeBehavior
 
     [JsonProperty("mouseMove")]
     public MouseMoveProfile MouseMove { get; set; } = new();
+
+    [JsonProperty("touch")]
+    public TouchProfile Touch { get; set; } = new();
 }
 
 public sealed class TypingProfile
@@ -74,12 +77,30 @@ public sealed class ScrollProfile
 public sealed class MouseMoveProfile
 {
     [JsonProperty("enable")]
-    public bool Enable { get; set; }
+    public bool Enable { get; set; } = true;
 
     [JsonProperty("hoverMs")]
     public int HoverMs { get; set; } = 120;
 }
 
+public sealed class TouchProfile
+{
+    [JsonProperty("inputMode")]
+    public string InputMode { get; set; } = "mouse";
+
+    [JsonProperty("tapDurationMs")]
+    public int TapDurationMs { get; set; } = 90;
+
+    [JsonProperty("longPressMs")]
+    public int LongPressMs { get; set; } = 650;
+
+    [JsonProperty("swipeDurationMs")]
+    public int SwipeDurationMs { get; set; } = 280;
+
+    [JsonProperty("contactRadiusPx")]
+    public int ContactRadiusPx { get; set; } = 11;
+}
+
 public sealed class PersonaOverlay
 {
     public string PersonaId { get; set; } = string.Empty;